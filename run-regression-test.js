@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * Regression Test Runner
+ * Loads src/utils/regressionTest.js through Vite (for import.meta.glob and
+ * extensionless imports) and exits non-zero on any failure.
+ */
+
+import { createServer } from 'vite';
+
+// In-memory localStorage for modules that load saved game data in Node.js
+const storage = new Map();
+global.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key),
+  clear: () => storage.clear()
+};
+
+async function runRegressionTest() {
+  const server = await createServer({
+    configFile: false,
+    logLevel: 'error',
+    appType: 'custom',
+    server: { middlewareMode: true, hmr: false },
+    optimizeDeps: { noDiscovery: true, include: [] }
+  });
+
+  let passed = false;
+  try {
+    const { runRegressionTests } = await server.ssrLoadModule('/src/utils/regressionTest.js');
+    const report = await runRegressionTests();
+
+    Object.entries(report.results).forEach(([name, result]) => {
+      const status = result.failures.length === 0 ? '✅' : '❌';
+      console.log(`${status} ${name}: ${result.checks - result.failures.length}/${result.checks} passed`);
+      result.failures.forEach(failure => console.log(`   - ${failure}`));
+    });
+    passed = report.passed;
+  } catch (error) {
+    console.error('❌ Regression test failed to run:', error);
+  } finally {
+    await server.close();
+  }
+
+  process.exit(passed ? 0 : 1);
+}
+
+runRegressionTest();
@@ -17,6 +17,7 @@ class AudioManager {
       bgm: false,            // 背景音乐是否静音
       sfx: false             // 音效是否静音
     };
+    this.audioContext = null; // 节拍器等需要精确定时的声音使用的 AudioContext，首次使用时创建
   }
   
   /**
@@ -53,14 +54,15 @@ class AudioManager {
    * 加载背景音乐
    * @param {string} id - 音乐ID
    * @param {string} src - 音频文件路径
+   * @param {object} options - 选项，loop: 是否循环播放（默认true，游戏歌曲应为false）
    */
-  loadBGM(id, src) {
+  loadBGM(id, src, options = {}) {
     if (!this.isSupported) return Promise.resolve(false);
     
     return new Promise((resolve, reject) => {
       try {
         const bgm = new Audio(src);
-        bgm.loop = true;
+        bgm.loop = options.loop !== false;
         bgm.volume = this.isMuted.bgm ? 0 : this.volume.bgm;
         bgm.preload = 'auto';
         
@@ -83,8 +85,9 @@ class AudioManager {
   /**
    * 播放背景音乐
    * @param {string} id - 音乐ID，如果不提供则播放当前设置的音乐
+   * @param {number} startAt - 从指定位置（秒）开始播放，不提供则从当前位置继续
    */
-  playBGM(id) {
+  playBGM(id, startAt = null) {
     // 如果指定了ID且不同于当前播放的ID
     if (id && id !== this.currentBgmId) {
       // 停止当前播放的音乐
@@ -103,6 +106,9 @@ class AudioManager {
     }
     
     if (this.bgm && this.bgm.paused) {
+      if (typeof startAt === 'number' && startAt >= 0) {
+        this.bgm.currentTime = startAt;
+      }
       this.bgm.volume = this.isMuted.bgm ? 0 : this.volume.bgm;
       this.bgm.play().catch(error => {
         console.warn('背景音乐播放失败:', error);
@@ -151,6 +157,31 @@ class AudioManager {
     }
   }
 
+  /**
+   * 获取背景音乐的音频元素，用于跟随播放进度
+   * @param {string} id - 音乐ID，如果不提供则返回当前背景音乐
+   */
+  getBGMElement(id) {
+    if (id) {
+      return this.bgmList[id] || null;
+    }
+    return this.bgm;
+  }
+
+  /**
+   * 设置背景音乐的播放速度，保持音调不变
+   * @param {string} id - 音乐ID，如果不提供则设置当前背景音乐
+   * @param {number} rate - 播放速度，1为原速
+   */
+  setBGMPlaybackRate(id, rate) {
+    const bgm = this.getBGMElement(id);
+    if (!bgm) return;
+    bgm.playbackRate = rate;
+    bgm.preservesPitch = true;
+    bgm.mozPreservesPitch = true;
+    bgm.webkitPreservesPitch = true;
+  }
+
   /**
    * 暂停背景音乐
    */
@@ -205,6 +236,53 @@ class AudioManager {
     this.soundEffects = {};
     this.bgm = null;
     this.currentBgmId = null;
+    
+    if (this.audioContext) {
+      this.audioContext.close().catch(() => {});
+      this.audioContext = null;
+    }
+  }
+
+  /**
+   * 获取共用的 AudioContext，首次调用时创建（需要在用户操作之后调用）
+   * @returns {AudioContext|null} - 浏览器不支持时返回null
+   */
+  getAudioContext() {
+    if (!this.audioContext) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return null;
+      this.audioContext = new AudioContextClass();
+    }
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume().catch(error => {
+        console.warn('音频上下文恢复失败:', error);
+      });
+    }
+    return this.audioContext;
+  }
+
+  /**
+   * 在指定时间播放一次节拍器的咔嗒声，用于延迟校准
+   * @param {number} when - AudioContext 时间（秒），不提供则立即播放
+   * @param {boolean} accent - 是否为重拍（音调更高）
+   * @returns {OscillatorNode|null} - 发声的振荡器，可以用 stop() 取消还未播放的声音；不支持时为null
+   */
+  playClick(when = null, accent = false) {
+    const context = this.getAudioContext();
+    if (!context) return null;
+
+    const startTime = when ?? context.currentTime;
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.frequency.value = accent ? 1500 : 1000;
+    // 短促的起音和衰减，声音的开始即为节拍的时间
+    gain.gain.setValueAtTime(this.isMuted.sfx ? 0 : this.volume.sfx, startTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, startTime + 0.05);
+    oscillator.connect(gain);
+    gain.connect(context.destination);
+    oscillator.start(startTime);
+    oscillator.stop(startTime + 0.06);
+    return oscillator;
   }
 
   /**
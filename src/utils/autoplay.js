@@ -0,0 +1,112 @@
+/**
+ * 自动演奏
+ * 在每个音符的时间准确按下对应轨道，长按音符按满全程后松开。
+ * 自动演奏产生与玩家相同的按下/松开事件，经过同一个判定会话，
+ * 用于主界面的演示、谱面预览和无界面的成绩校验
+ */
+import { GameSession, getMaxScore } from './gameSession';
+
+/**
+ * 生成自动演奏的输入事件
+ * @param {Array<{lane: number, time: number, duration: number}>} notes - 音符，time 为到达判定线的时间(ms)
+ * @returns {Array<{type: string, lane: number, inputId: string, time: number, source: string}>} - 按时间排序的事件
+ */
+export function createAutoplayEvents(notes) {
+  const events = [];
+
+  notes.forEach(note => {
+    // 每个音符使用单独的输入，前一个音符还未松开时也能按下
+    const inputId = `auto:${note.lane}:${note.time}`;
+    events.push({ type: 'press', lane: note.lane, inputId, time: note.time, source: 'autoplay' });
+    events.push({ type: 'release', lane: note.lane, inputId, time: note.time + (note.duration || 0), source: 'autoplay' });
+  });
+
+  // 同一时间先按下再松开，普通音符的按下和松开在同一时间
+  return events.sort((a, b) => a.time - b.time || (a.type === 'press' ? -1 : 0) - (b.type === 'press' ? -1 : 0));
+}
+
+/**
+ * 自动演奏器
+ * 游戏循环每帧取出到期的事件交给判定会话；随机模式的音符可以在游戏中加入
+ */
+export class AutoplayPlayer {
+  /**
+   * @param {Array} notes - 初始音符
+   */
+  constructor(notes = []) {
+    this.events = createAutoplayEvents(notes);
+  }
+
+  /**
+   * 为新加入的音符安排按下和松开
+   * @param {object} note - 音符
+   */
+  addNote(note) {
+    createAutoplayEvents([note]).forEach(event => {
+      let index = this.events.length;
+      while (index > 0 && this.events[index - 1].time > event.time) {
+        index--;
+      }
+      this.events.splice(index, 0, event);
+    });
+  }
+
+  /**
+   * 取出到指定时间为止的事件
+   * @param {number} time - 歌曲时间(ms)
+   * @returns {Array} - 按时间排序的事件
+   */
+  poll(time) {
+    let count = 0;
+    while (count < this.events.length && this.events[count].time <= time) {
+      count++;
+    }
+    return this.events.splice(0, count);
+  }
+}
+
+/**
+ * 不经过界面完整地自动演奏一张谱面
+ * @param {Array<{lane: number, time: number, duration: number}>} notes - 谱面音符，不会被修改
+ * @param {object} options - 判定会话的配置，如 judgmentWindows
+ * @returns {object} - 判定会话的成绩
+ */
+export function runAutoplay(notes, options = {}) {
+  const sessionNotes = notes.map(note => ({ ...note }));
+  const session = new GameSession(options);
+  session.setNotes(sessionNotes);
+
+  createAutoplayEvents(sessionNotes).forEach(event => session.processInput(event));
+  session.update(Infinity);
+
+  return session.getResults();
+}
+
+/**
+ * 校验自动演奏的成绩：全部为perfect、准确率100%且得到理论最高分
+ * 用于检查判定和计分代码的改动
+ * @param {Array} notes - 谱面音符
+ * @param {object} options - 判定会话的配置
+ * @returns {{passed: boolean, results: object, maxScore: number, errors: string[]}}
+ */
+export function verifyAutoplay(notes, options = {}) {
+  const results = runAutoplay(notes, options);
+  const maxScore = getMaxScore(notes, options.scoreMultiplier, options.rules);
+  const expectedJudgments = notes.reduce((sum, note) => sum + (note.duration > 0 ? 2 : 1), 0);
+  const errors = [];
+
+  if (results.judgments.perfect !== expectedJudgments) {
+    errors.push(`perfect 数量为 ${results.judgments.perfect}，应为 ${expectedJudgments}`);
+  }
+  if (notes.length > 0 && results.accuracy !== 100) {
+    errors.push(`准确率为 ${results.accuracy}%，应为 100%`);
+  }
+  if (results.score !== maxScore) {
+    errors.push(`分数为 ${results.score}，理论最高分为 ${maxScore}`);
+  }
+  if (results.maxCombo !== expectedJudgments) {
+    errors.push(`最大连击为 ${results.maxCombo}，应为 ${expectedJudgments}`);
+  }
+
+  return { passed: errors.length === 0, results, maxScore, errors };
+}
@@ -0,0 +1,103 @@
+/**
+ * 延迟校准
+ * - 音频延迟（audioOffset）：跟随节拍器的咔嗒声敲击，敲击比节拍晚的时间，包括音频输出和输入的延迟
+ * - 显示延迟（visualOffset）：跟随画面的闪烁敲击，敲击比闪烁晚的时间，包括画面显示和输入的延迟
+ * 判定时输入时间减去音频延迟，玩家跟着音乐敲击就能得到准确的判定；
+ * 音符按两者之差调整绘制时间，音符到达判定线的画面与对应的声音同时出现
+ */
+
+export const CALIBRATION_INTERVAL = 500; // 节拍间隔(ms)，120 BPM
+export const CALIBRATION_BEATS = 20;     // 每项测试的节拍数
+export const CALIBRATION_LEAD_IN = 4;    // 开始时只听（看）不敲的节拍数
+export const MIN_CALIBRATION_TAPS = 8;   // 去掉离群值后至少需要的敲击次数
+export const MAX_OFFSET = 300;           // 延迟的上限(ms)
+
+// 离群值的判定：偏离中位数超过 3 倍的稳健标准差（MAD x 1.4826），且至少偏离 20ms
+const OUTLIER_MAD_FACTOR = 3 * 1.4826;
+const MIN_OUTLIER_DISTANCE = 20;
+
+export const DEFAULT_CALIBRATION = {
+  audioOffset: 0,
+  visualOffset: 0
+};
+
+/**
+ * 校验一个延迟值，无效的值为0，超出范围的取上限
+ * @param {number} value - 延迟(ms)
+ * @returns {number}
+ */
+export function normalizeOffset(value) {
+  const offset = Number(value);
+  if (!Number.isFinite(offset)) return 0;
+  return Math.round(Math.max(-MAX_OFFSET, Math.min(MAX_OFFSET, offset)));
+}
+
+/**
+ * 合并并校验校准设置
+ * @param {object} calibration - 保存的校准设置
+ * @returns {{audioOffset: number, visualOffset: number}}
+ */
+export function normalizeCalibration(calibration = {}) {
+  return {
+    audioOffset: normalizeOffset(calibration?.audioOffset ?? DEFAULT_CALIBRATION.audioOffset),
+    visualOffset: normalizeOffset(calibration?.visualOffset ?? DEFAULT_CALIBRATION.visualOffset)
+  };
+}
+
+/**
+ * 一次敲击相对最近一拍的有符号偏差，正数表示比节拍晚
+ * @param {number} tapTime - 敲击的系统时钟时间(ms)
+ * @param {number} firstBeatTime - 第一拍的系统时钟时间(ms)
+ * @param {number} interval - 节拍间隔(ms)
+ * @returns {{beat: number, delta: number}} - 最近一拍的序号和偏差
+ */
+export function getTapDelta(tapTime, firstBeatTime, interval = CALIBRATION_INTERVAL) {
+  const beat = Math.round((tapTime - firstBeatTime) / interval);
+  return { beat, delta: tapTime - (firstBeatTime + beat * interval) };
+}
+
+/**
+ * 由敲击偏差计算延迟：去掉离群值后取中位数
+ * @param {number[]} deltas - 每次敲击的偏差(ms)
+ * @returns {{offset: number, samples: number, rejected: number}|null} - 有效敲击不足时返回null
+ */
+export function computeOffset(deltas) {
+  const values = deltas.filter(Number.isFinite);
+  if (values.length < MIN_CALIBRATION_TAPS) return null;
+
+  const center = median(values);
+  const spread = median(values.map(value => Math.abs(value - center)));
+  const limit = Math.max(spread * OUTLIER_MAD_FACTOR, MIN_OUTLIER_DISTANCE);
+  const kept = values.filter(value => Math.abs(value - center) <= limit);
+  if (kept.length < MIN_CALIBRATION_TAPS) return null;
+
+  return {
+    offset: normalizeOffset(median(kept)),
+    samples: kept.length,
+    rejected: values.length - kept.length
+  };
+}
+
+/**
+ * 判定使用的输入延迟(ms)：输入时间减去该值后判定
+ * @param {object} calibration - 校准设置
+ */
+export function getInputOffset(calibration) {
+  return normalizeCalibration(calibration).audioOffset;
+}
+
+/**
+ * 绘制使用的时间偏移(ms)：音符按当前时间加上该值绘制，正数表示提前绘制
+ * 画面比声音晚多少，音符就提前多少绘制；只校准了音频时音符随判定一起推迟
+ * @param {object} calibration - 校准设置
+ */
+export function getRenderOffset(calibration) {
+  const { audioOffset, visualOffset } = normalizeCalibration(calibration);
+  return visualOffset - audioOffset;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
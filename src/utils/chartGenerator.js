@@ -0,0 +1,224 @@
+/**
+ * 节拍对齐的谱面生成器
+ * 根据歌曲的BPM和偏移量，把音符量化到节拍细分（1/1、1/2、1/4、1/3拍）上，
+ * 密度随难度增加，每小节的第一拍（强拍）总有音符并带有重音（和弦或长按）
+ */
+
+// 每小节拍数（4/4拍）
+export const BEATS_PER_MEASURE = 4;
+
+/**
+ * 各难度的生成参数
+ * subdivisions: 每拍细分数的权重（1=整拍, 2=1/2拍, 4=1/4拍, 3=1/3拍即三连音）
+ * beatDensity: 拍点上出现音符的概率
+ * offbeatDensity: 拍内细分位置出现音符的概率
+ * chordChance: 强拍出现和弦（重音）的概率
+ * holdChance: 拍点上出现长按音符的概率
+ * holdBeats: 长按音符可选的长度（拍）
+ * restChance: 整小节休息的概率（不含第一小节）
+ */
+export const DIFFICULTY_PROFILES = {
+  easy: {
+    subdivisions: { 1: 1 },
+    beatDensity: 0.5,
+    offbeatDensity: 0,
+    chordChance: 0,
+    holdChance: 0.05,
+    holdBeats: [1, 2],
+    restChance: 0.1
+  },
+  normal: {
+    subdivisions: { 1: 0.6, 2: 0.4 },
+    beatDensity: 0.75,
+    offbeatDensity: 0.35,
+    chordChance: 0.2,
+    holdChance: 0.1,
+    holdBeats: [1, 2],
+    restChance: 0.05
+  },
+  hard: {
+    subdivisions: { 1: 0.25, 2: 0.45, 4: 0.2, 3: 0.1 },
+    beatDensity: 0.9,
+    offbeatDensity: 0.6,
+    chordChance: 0.4,
+    holdChance: 0.12,
+    holdBeats: [0.5, 1, 2],
+    restChance: 0.03
+  },
+  expert: {
+    subdivisions: { 2: 0.35, 4: 0.45, 3: 0.2 },
+    beatDensity: 1,
+    offbeatDensity: 0.8,
+    chordChance: 0.5,
+    holdChance: 0.12,
+    holdBeats: [0.5, 1, 1.5],
+    restChance: 0
+  }
+};
+
+/**
+ * 生成节拍对齐的谱面
+ * @param {object} options - 生成参数
+ * @param {number} options.duration - 歌曲时长（秒）
+ * @param {number} options.bpm - 每分钟拍数
+ * @param {number} options.offset - 第一拍的时间（秒）
+ * @param {number} options.trackCount - 轨道数量
+ * @param {string} options.difficulty - 难度级别
+ * @param {function} options.random - 带种子的随机数生成器
+ * @returns {Array} - 按时间排序的音符数组，时间单位为秒
+ */
+export function generateBeatChart({ duration, bpm, offset = 0, trackCount, difficulty, random }) {
+  const profile = DIFFICULTY_PROFILES[difficulty];
+  if (!profile) {
+    throw new Error(`未知的难度: ${difficulty}`);
+  }
+  if (!(bpm > 0)) {
+    throw new Error(`无效的BPM: ${bpm}`);
+  }
+
+  const beatLength = 60 / bpm;
+  // 最后留出一拍，避免长按音符超出歌曲
+  const endTime = duration - beatLength;
+  const state = {
+    notes: [],
+    laneFreeAt: new Array(trackCount).fill(-Infinity), // 各轨道可以再放音符的时间
+    lastLane: -1,
+    resting: false
+  };
+
+  const totalBeats = Math.floor((endTime - offset) / beatLength);
+
+  for (let beat = 0; beat <= totalBeats; beat++) {
+    const beatInMeasure = beat % BEATS_PER_MEASURE;
+    const measure = Math.floor(beat / BEATS_PER_MEASURE);
+
+    // 整小节休息，由小节号决定，保证同一小节的每一拍结果一致
+    if (beatInMeasure === 0) {
+      state.resting = measure > 0 && random() < profile.restChance;
+    }
+    if (state.resting) continue;
+
+    const beatTime = offset + beat * beatLength;
+    const division = pickSubdivision(profile.subdivisions, random);
+    const isDownbeat = beatInMeasure === 0;
+    let pattern = null;
+
+    for (let step = 0; step < division; step++) {
+      const time = beatTime + (step * beatLength) / division;
+      if (time > endTime) break;
+
+      if (step === 0) {
+        placeBeatNote(state, profile, time, beatLength, trackCount, isDownbeat, random);
+        // 密集细分从拍点音符开始走位
+        if (division > 2) {
+          pattern = pickPattern(trackCount, state.lastLane, random);
+        }
+      } else if (random() < profile.offbeatDensity) {
+        const lane = pattern ? pattern(step) : pickLane(state, trackCount, time, random);
+        addNote(state, lane, time, 0);
+      }
+    }
+  }
+
+  return state.notes
+    .sort((a, b) => a.time - b.time || a.lane - b.lane)
+    .map((note, index) => ({ id: `note_${difficulty}_${index}`, ...note }));
+}
+
+/**
+ * 在拍点上放置音符：强拍必有音符并带重音，其余拍点按密度放置
+ */
+function placeBeatNote(state, profile, time, beatLength, trackCount, isDownbeat, random) {
+  if (!isDownbeat && random() >= profile.beatDensity) return;
+
+  const lane = pickLane(state, trackCount, time, random);
+  if (lane === -1) return;
+
+  const holdDuration = random() < profile.holdChance
+    ? profile.holdBeats[Math.floor(random() * profile.holdBeats.length)] * beatLength
+    : 0;
+  addNote(state, lane, time, holdDuration);
+
+  // 强拍重音：额外加一个不同轨道的音符组成和弦
+  if (isDownbeat && trackCount > 1 && random() < profile.chordChance) {
+    const chordLane = pickLane(state, trackCount, time, random, lane);
+    if (chordLane !== -1) {
+      addNote(state, chordLane, time, 0);
+    }
+  }
+}
+
+/**
+ * 添加音符并记录轨道占用
+ */
+function addNote(state, lane, time, duration) {
+  if (lane === -1 || time < state.laneFreeAt[lane]) return;
+
+  const note = {
+    lane,
+    time: roundTime(time),
+    duration: roundTime(duration)
+  };
+  state.notes.push(note);
+  // 长按期间以及结束后一小段时间内该轨道不再放置音符
+  state.laneFreeAt[lane] = time + duration + 0.05;
+  state.lastLane = lane;
+}
+
+/**
+ * 随机选择一个空闲轨道，尽量不与上一个音符同轨道
+ * @returns {number} - 轨道索引，没有空闲轨道时返回-1
+ */
+function pickLane(state, trackCount, time, random, excludeLane = -1) {
+  const freeLanes = [];
+  for (let lane = 0; lane < trackCount; lane++) {
+    if (lane !== excludeLane && state.laneFreeAt[lane] <= time) {
+      freeLanes.push(lane);
+    }
+  }
+  if (freeLanes.length === 0) return -1;
+
+  const preferred = freeLanes.filter(lane => lane !== state.lastLane);
+  const candidates = preferred.length > 0 ? preferred : freeLanes;
+  return candidates[Math.floor(random() * candidates.length)];
+}
+
+/**
+ * 按权重选择本拍的细分数
+ */
+function pickSubdivision(weights, random) {
+  const entries = Object.entries(weights);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = random() * total;
+
+  for (const [division, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return Number(division);
+  }
+  return Number(entries[entries.length - 1][0]);
+}
+
+/**
+ * 为密集细分的拍子选择走位模式（阶梯或左右交替）
+ * @returns {function} - 根据拍内步数返回轨道
+ */
+function pickPattern(trackCount, lastLane, random) {
+  const start = lastLane >= 0 ? lastLane : Math.floor(random() * trackCount);
+
+  if (trackCount > 2 && random() < 0.5) {
+    // 阶梯：向上或向下依次移动
+    const direction = random() < 0.5 ? 1 : -1;
+    return step => (((start + direction * step) % trackCount) + trackCount) % trackCount;
+  }
+
+  // 左右交替：在两个轨道之间来回
+  const other = (start + 1 + Math.floor(random() * (trackCount - 1))) % trackCount;
+  return step => (step % 2 === 0 ? start : other);
+}
+
+/**
+ * 时间保留到毫秒，避免浮点误差
+ */
+function roundTime(time) {
+  return Math.round(time * 1000) / 1000;
+}
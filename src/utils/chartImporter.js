@@ -0,0 +1,129 @@
+/**
+ * 外部谱面导入
+ * 根据文件扩展名选择对应的导入器，把谱面文件转换为歌曲数据。
+ * 与谱面一起选择的音频文件会按文件名匹配，作为歌曲音频播放。
+ */
+import { parseChart, chartToSong } from './chartLoader';
+import { importOsuBeatmap } from './osuImporter';
+import { importStepManiaSimfile } from './stepmaniaImporter';
+import { parseMidiFile, getMidiTrackSummaries, convertMidiToChart } from './midiConverter';
+
+// 各扩展名对应的导入器，返回 { chart, warnings } 或 { charts, warnings }
+const importers = {
+  osu: (text, options) => importOsuBeatmap(text, options),
+  sm: (text, options) => importStepManiaSimfile(text, options),
+  ssc: (text, options) => importStepManiaSimfile(text, options)
+};
+
+// MIDI 文件需要玩家选择音轨和转换参数，导入时只解析，之后由 convertMidiImport 生成谱面
+const MIDI_EXTENSIONS = ['mid', 'midi'];
+
+// 可导入的谱面扩展名（用于文件选择框的 accept）
+export const CHART_FILE_EXTENSIONS = [...Object.keys(importers), ...MIDI_EXTENSIONS].map(extension => `.${extension}`);
+
+// 可与谱面一起选择的音频扩展名
+export const AUDIO_FILE_EXTENSIONS = ['.mp3', '.ogg', '.wav', '.m4a'];
+
+/**
+ * 导入一组文件
+ * @param {File[]|FileList} files - 谱面文件及其音频文件
+ * @returns {Promise<{songs: Array, midiFiles: Array, warnings: string[], errors: string[]}>}
+ *   songs 为导入成功的歌曲；midiFiles 为等待转换的MIDI文件；
+ *   warnings 为不支持而被忽略的内容；errors 为导入失败的文件
+ */
+export async function importChartFiles(files) {
+  const fileList = Array.from(files);
+  const audioFiles = new Map();
+  fileList
+    .filter(file => AUDIO_FILE_EXTENSIONS.includes(`.${getExtension(file.name)}`))
+    .forEach(file => audioFiles.set(file.name.toLowerCase(), file));
+
+  const result = { songs: [], midiFiles: [], warnings: [], errors: [] };
+
+  for (const file of fileList) {
+    if (MIDI_EXTENSIONS.includes(getExtension(file.name))) {
+      try {
+        const midi = parseMidiFile(await file.arrayBuffer(), file.name);
+        // MIDI 没有音频，使用同名的音频文件（如 song.mid 与 song.mp3）
+        const audioFile = [...audioFiles.values()].find(audio =>
+          getBaseName(audio.name).toLowerCase() === getBaseName(file.name).toLowerCase()
+        );
+        result.midiFiles.push({
+          name: file.name,
+          midi,
+          tracks: getMidiTrackSummaries(midi),
+          audioUrl: audioFile ? URL.createObjectURL(audioFile) : ''
+        });
+      } catch (e) {
+        result.errors.push(e.message);
+      }
+      continue;
+    }
+
+    const importer = importers[getExtension(file.name)];
+    if (!importer) continue;
+
+    try {
+      const text = await file.text();
+      const imported = importer(text, { source: file.name });
+      const charts = imported.charts || [imported.chart];
+      const warnings = [...imported.warnings];
+
+      // 谱面引用的音频文件一起选择了时使用本地文件播放
+      const audioName = getFileName(charts[0].audio);
+      const audioFile = audioFiles.get(audioName.toLowerCase());
+      const audioUrl = audioFile ? URL.createObjectURL(audioFile) : '';
+      if (!audioFile) {
+        warnings.push(`未选择音频文件 ${audioName || '(谱面未指定)'}，将无音乐游玩`);
+      }
+
+      charts.forEach(chart => {
+        chart.audio = audioUrl;
+        result.songs.push(chartToSong(parseChart(chart, file.name)));
+      });
+      result.warnings.push(...warnings.map(warning => `${file.name}: ${warning}`));
+    } catch (e) {
+      result.errors.push(e.message);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 按选择的参数把MIDI文件转换为歌曲
+ * @param {object} midiFile - importChartFiles 返回的 midiFiles 中的一项
+ * @param {object} options - 转换参数，见 convertMidiToChart
+ * @returns {{song: object, warnings: string[]}}
+ */
+export function convertMidiImport(midiFile, options = {}) {
+  const { chart, warnings } = convertMidiToChart(midiFile.midi, {
+    title: getBaseName(midiFile.name),
+    audioUrl: midiFile.audioUrl,
+    source: midiFile.name,
+    ...options
+  });
+
+  if (!midiFile.audioUrl) {
+    warnings.push('未选择同名的音频文件，将无音乐游玩');
+  }
+
+  return {
+    song: chartToSong(parseChart(chart, midiFile.name)),
+    warnings: warnings.map(warning => `${midiFile.name}: ${warning}`)
+  };
+}
+
+function getExtension(name) {
+  const index = name.lastIndexOf('.');
+  return index >= 0 ? name.slice(index + 1).toLowerCase() : '';
+}
+
+function getBaseName(name) {
+  const index = name.lastIndexOf('.');
+  return index >= 0 ? name.slice(0, index) : name;
+}
+
+function getFileName(path = '') {
+  return path.split(/[\\/]/).pop();
+}
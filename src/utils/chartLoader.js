@@ -0,0 +1,392 @@
+/**
+ * 谱面文件加载器
+ * 读取JSON格式的谱面文件，校验后转换为游戏使用的歌曲数据。
+ * 格式说明见 README.md 的「谱面文件格式」一节。
+ */
+
+// 当前支持的谱面格式版本
+export const CHART_FORMAT_VERSION = 1;
+
+// 支持的难度
+export const CHART_DIFFICULTIES = ['easy', 'normal', 'hard', 'expert'];
+
+// 轨道数量范围
+export const MIN_LANE_COUNT = 3;
+export const MAX_LANE_COUNT = 8;
+
+// 各层级允许出现的字段
+const CHART_FIELDS = ['version', 'id', 'metadata', 'audio', 'duration', 'offset', 'leadIn', 'bpm', 'timingPoints', 'difficulties'];
+const METADATA_FIELDS = ['title', 'artist', 'description', 'coverUrl'];
+const TIMING_POINT_FIELDS = ['time', 'bpm'];
+const DIFFICULTY_FIELDS = ['laneCount', 'notes', 'generate'];
+const GENERATE_FIELDS = ['seed'];
+const NOTE_FIELDS = ['time', 'lane', 'duration'];
+
+/**
+ * 谱面校验错误
+ * errors 中的每一项都带有出错字段的路径，例如 "difficulties.hard.notes[12].lane: ..."
+ */
+export class ChartValidationError extends Error {
+  /**
+   * @param {string[]} errors - 错误列表
+   * @param {string} source - 谱面来源（文件名或URL）
+   */
+  constructor(errors, source = '谱面') {
+    super(`${source} 无效:\n${errors.join('\n')}`);
+    this.name = 'ChartValidationError';
+    this.errors = errors;
+    this.source = source;
+  }
+}
+
+/**
+ * 谱面导入错误
+ * 外部谱面文件（osu!mania 等）无法转换时抛出
+ */
+export class ChartImportError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {string} source - 谱面来源（文件名）
+   */
+  constructor(message, source = '谱面') {
+    super(`${source}: ${message}`);
+    this.name = 'ChartImportError';
+    this.source = source;
+  }
+}
+
+/**
+ * 解析并校验谱面
+ * @param {string|object} input - 谱面JSON文本或已解析的对象
+ * @param {string} source - 谱面来源，用于错误信息
+ * @returns {object} - 补全默认值后的谱面
+ * @throws {ChartValidationError} - 谱面无效时抛出，包含全部错误
+ */
+export function parseChart(input, source = '谱面') {
+  let data = input;
+
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (e) {
+      throw new ChartValidationError([`JSON解析失败: ${e.message}`], source);
+    }
+  }
+
+  const errors = validateChart(data);
+  if (errors.length > 0) {
+    throw new ChartValidationError(errors, source);
+  }
+
+  return normalizeChart(data);
+}
+
+/**
+ * 从URL加载谱面文件
+ * @param {string} url - 谱面文件地址
+ * @returns {Promise<object>} - 校验后的谱面
+ */
+export async function loadChartFromUrl(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`加载谱面失败: ${url} (${response.status})`);
+  }
+  return parseChart(await response.text(), url);
+}
+
+/**
+ * 校验谱面数据
+ * @param {object} data - 谱面对象
+ * @returns {string[]} - 错误列表，为空表示谱面有效
+ */
+export function validateChart(data) {
+  const errors = [];
+
+  if (!isPlainObject(data)) {
+    return ['谱面必须是一个JSON对象'];
+  }
+
+  checkUnknownFields(data, CHART_FIELDS, '', errors);
+
+  if (data.version !== CHART_FORMAT_VERSION) {
+    errors.push(`version: 不支持的格式版本 ${JSON.stringify(data.version)}，当前版本为 ${CHART_FORMAT_VERSION}`);
+  }
+  if (typeof data.id !== 'string' || data.id.trim() === '') {
+    errors.push('id: 必须是非空字符串');
+  }
+
+  if (!isPlainObject(data.metadata)) {
+    errors.push('metadata: 必须是对象');
+  } else {
+    checkUnknownFields(data.metadata, METADATA_FIELDS, 'metadata', errors);
+    ['title', 'artist'].forEach(field => {
+      if (typeof data.metadata[field] !== 'string' || data.metadata[field].trim() === '') {
+        errors.push(`metadata.${field}: 必须是非空字符串`);
+      }
+    });
+    ['description', 'coverUrl'].forEach(field => {
+      if (data.metadata[field] !== undefined && typeof data.metadata[field] !== 'string') {
+        errors.push(`metadata.${field}: 必须是字符串`);
+      }
+    });
+  }
+
+  if (data.audio !== undefined && typeof data.audio !== 'string') {
+    errors.push('audio: 必须是音频文件路径字符串');
+  }
+  if (!isFiniteNumber(data.duration) || data.duration <= 0) {
+    errors.push(`duration: 歌曲时长必须是正数（秒），实际为 ${JSON.stringify(data.duration)}`);
+  }
+  if (data.offset !== undefined && !isFiniteNumber(data.offset)) {
+    errors.push(`offset: 必须是数字（秒），实际为 ${JSON.stringify(data.offset)}`);
+  }
+  if (data.leadIn !== undefined && !(isFiniteNumber(data.leadIn) && data.leadIn >= 0)) {
+    errors.push(`leadIn: 必须是非负数（秒），实际为 ${JSON.stringify(data.leadIn)}`);
+  }
+
+  validateTiming(data, errors);
+
+  if (!isPlainObject(data.difficulties) || Object.keys(data.difficulties).length === 0) {
+    errors.push('difficulties: 必须是至少包含一个难度的对象');
+  } else {
+    Object.entries(data.difficulties).forEach(([difficulty, chart]) => {
+      const path = `difficulties.${difficulty}`;
+      if (!CHART_DIFFICULTIES.includes(difficulty)) {
+        errors.push(`${path}: 未知的难度，可选值为 ${CHART_DIFFICULTIES.join(', ')}`);
+        return;
+      }
+      validateDifficulty(chart, path, data.duration, errors);
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * 校验BPM和变速点
+ */
+function validateTiming(data, errors) {
+  if (data.bpm !== undefined && !(isFiniteNumber(data.bpm) && data.bpm > 0)) {
+    errors.push(`bpm: 必须是正数，实际为 ${JSON.stringify(data.bpm)}`);
+  }
+
+  if (data.timingPoints === undefined) {
+    if (data.bpm === undefined) {
+      errors.push('bpm: 未提供 timingPoints 时必须指定 bpm');
+    }
+    return;
+  }
+
+  if (!Array.isArray(data.timingPoints) || data.timingPoints.length === 0) {
+    errors.push('timingPoints: 必须是非空数组');
+    return;
+  }
+
+  let previousTime = -Infinity;
+  data.timingPoints.forEach((point, index) => {
+    const path = `timingPoints[${index}]`;
+    if (!isPlainObject(point)) {
+      errors.push(`${path}: 必须是对象`);
+      return;
+    }
+    checkUnknownFields(point, TIMING_POINT_FIELDS, path, errors);
+
+    if (!isFiniteNumber(point.time) || point.time < 0) {
+      errors.push(`${path}.time: 必须是非负数（秒），实际为 ${JSON.stringify(point.time)}`);
+    } else {
+      if (point.time <= previousTime) {
+        errors.push(`${path}.time: 变速点必须按时间严格递增，${point.time} 不晚于上一个变速点 ${previousTime}`);
+      }
+      previousTime = point.time;
+    }
+    if (!(isFiniteNumber(point.bpm) && point.bpm > 0)) {
+      errors.push(`${path}.bpm: 必须是正数，实际为 ${JSON.stringify(point.bpm)}`);
+    }
+  });
+}
+
+/**
+ * 校验单个难度的谱面
+ */
+function validateDifficulty(chart, path, songDuration, errors) {
+  if (!isPlainObject(chart)) {
+    errors.push(`${path}: 必须是对象`);
+    return;
+  }
+  checkUnknownFields(chart, DIFFICULTY_FIELDS, path, errors);
+
+  const laneCount = chart.laneCount;
+  const validLaneCount = Number.isInteger(laneCount) && laneCount >= MIN_LANE_COUNT && laneCount <= MAX_LANE_COUNT;
+  if (!validLaneCount) {
+    errors.push(`${path}.laneCount: 必须是 ${MIN_LANE_COUNT}-${MAX_LANE_COUNT} 之间的整数，实际为 ${JSON.stringify(laneCount)}`);
+  }
+
+  const hasNotes = chart.notes !== undefined;
+  const hasGenerate = chart.generate !== undefined;
+  if (hasNotes === hasGenerate) {
+    errors.push(`${path}: 必须且只能指定 notes 或 generate 其中之一`);
+    return;
+  }
+
+  if (hasGenerate) {
+    if (!isPlainObject(chart.generate)) {
+      errors.push(`${path}.generate: 必须是对象`);
+      return;
+    }
+    checkUnknownFields(chart.generate, GENERATE_FIELDS, `${path}.generate`, errors);
+    if (!Number.isInteger(chart.generate.seed) || chart.generate.seed < 0) {
+      errors.push(`${path}.generate.seed: 必须是非负整数，实际为 ${JSON.stringify(chart.generate.seed)}`);
+    }
+    return;
+  }
+
+  if (!Array.isArray(chart.notes)) {
+    errors.push(`${path}.notes: 必须是数组`);
+    return;
+  }
+
+  let previousTime = -Infinity;
+  const laneEndTimes = new Map(); // 各轨道上一个音符（含长按）的结束时间
+
+  chart.notes.forEach((note, index) => {
+    const notePath = `${path}.notes[${index}]`;
+    if (!isPlainObject(note)) {
+      errors.push(`${notePath}: 必须是对象`);
+      return;
+    }
+    checkUnknownFields(note, NOTE_FIELDS, notePath, errors);
+
+    const validTime = isFiniteNumber(note.time) && note.time >= 0;
+    if (!validTime) {
+      errors.push(`${notePath}.time: 必须是非负数（秒），实际为 ${JSON.stringify(note.time)}`);
+    } else {
+      if (note.time < previousTime) {
+        errors.push(`${notePath}.time: 音符必须按时间排序，${note.time} 早于上一个音符的 ${previousTime}`);
+      }
+      previousTime = Math.max(previousTime, note.time);
+    }
+
+    const validLane = Number.isInteger(note.lane) && note.lane >= 0 && (!validLaneCount || note.lane < laneCount);
+    if (!validLane) {
+      const range = validLaneCount ? `0-${laneCount - 1}（laneCount 为 ${laneCount}）` : '非负整数';
+      errors.push(`${notePath}.lane: 轨道 ${JSON.stringify(note.lane)} 超出范围，应为 ${range}`);
+    }
+
+    const duration = note.duration ?? 0;
+    const validDuration = isFiniteNumber(duration) && duration >= 0;
+    if (!validDuration) {
+      errors.push(`${notePath}.duration: 长按时长必须是非负数（秒），实际为 ${JSON.stringify(note.duration)}`);
+    }
+
+    if (!validTime || !validLane || !validDuration) return;
+
+    if (isFiniteNumber(songDuration) && note.time + duration > songDuration) {
+      errors.push(`${notePath}: 音符结束于 ${note.time + duration} 秒，超出歌曲时长 ${songDuration} 秒`);
+    }
+
+    const laneEnd = laneEndTimes.get(note.lane);
+    if (laneEnd !== undefined && note.time <= laneEnd) {
+      errors.push(`${notePath}: 与轨道 ${note.lane} 上的前一个音符重叠（前一个音符结束于 ${laneEnd} 秒）`);
+    }
+    laneEndTimes.set(note.lane, Math.max(laneEnd ?? -Infinity, note.time + duration));
+  });
+}
+
+/**
+ * 补全谱面的默认值
+ */
+function normalizeChart(data) {
+  const offset = data.offset ?? 0;
+  const timingPoints = data.timingPoints
+    ? data.timingPoints.map(point => ({ time: point.time, bpm: point.bpm }))
+    : [{ time: Math.max(0, offset), bpm: data.bpm }];
+
+  const difficulties = {};
+  Object.entries(data.difficulties).forEach(([difficulty, chart]) => {
+    difficulties[difficulty] = chart.generate
+      ? { laneCount: chart.laneCount, generate: { seed: chart.generate.seed } }
+      : {
+          laneCount: chart.laneCount,
+          notes: chart.notes.map(note => ({
+            time: note.time,
+            lane: note.lane,
+            duration: note.duration ?? 0
+          }))
+        };
+  });
+
+  return {
+    version: data.version,
+    id: data.id,
+    metadata: {
+      title: data.metadata.title,
+      artist: data.metadata.artist,
+      description: data.metadata.description ?? '',
+      coverUrl: data.metadata.coverUrl ?? ''
+    },
+    audio: data.audio ?? '',
+    duration: data.duration,
+    offset,
+    leadIn: data.leadIn ?? 0,
+    bpm: data.bpm ?? timingPoints[0].bpm,
+    timingPoints,
+    difficulties
+  };
+}
+
+/**
+ * 把谱面转换为歌曲数据（songsData中歌曲对象的结构）
+ * 使用 generate 的难度 notes 为null，由调用方根据 chartSeeds 生成
+ * @param {object} chart - parseChart 返回的谱面
+ * @returns {object} - 歌曲数据
+ */
+export function chartToSong(chart) {
+  const song = {
+    id: chart.id,
+    title: chart.metadata.title,
+    artist: chart.metadata.artist,
+    duration: chart.duration,
+    bpm: chart.bpm,
+    offset: chart.offset,
+    leadIn: chart.leadIn, // 音频开始播放前的等待时间（秒）
+    timingPoints: chart.timingPoints,
+    coverUrl: chart.metadata.coverUrl,
+    audioUrl: chart.audio,
+    description: chart.metadata.description,
+    difficulty: {},
+    trackCounts: {}, // 各难度的轨道数量，null表示该难度没有谱面
+    chartSeeds: {},  // 生成谱面使用的种子，手写谱面为null
+    notes: {}
+  };
+
+  CHART_DIFFICULTIES.forEach(difficulty => {
+    const entry = chart.difficulties[difficulty];
+    song.difficulty[difficulty] = !!entry;
+    song.trackCounts[difficulty] = entry ? entry.laneCount : null;
+    song.chartSeeds[difficulty] = entry?.generate ? entry.generate.seed : null;
+    song.notes[difficulty] = entry?.notes
+      ? entry.notes.map((note, index) => ({ id: `note_${difficulty}_${index}`, ...note }))
+      : null;
+  });
+
+  return song;
+}
+
+/**
+ * 报告对象中不允许的字段
+ */
+function checkUnknownFields(object, allowed, path, errors) {
+  Object.keys(object).forEach(key => {
+    if (!allowed.includes(key)) {
+      errors.push(`${path ? `${path}.` : ''}${key}: 未知字段`);
+    }
+  });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
@@ -2,9 +2,20 @@
  * 游戏数据管理器
  * 负责存储和管理游戏配置、高分记录等数据
  */
+import { normalizeLaneCount, resolveKeyBindings } from './keyBindings';
+import { resolveGamepadBindings } from './gamepadInput';
+import { resolveMidiBindings } from './midiInput';
+import { DEFAULT_SCORE_RULES } from './scoreRules';
+import { compareClearTypes } from './grading';
+import { DEFAULT_CALIBRATION, normalizeCalibration } from './calibration';
+
+// 保存的回放数量上限，超出时删除最早的回放
+const MAX_REPLAYS = 10;
+
 class GameDataManager {
   constructor() {
     this.storageKey = 'rhythm_master_data';
+    this.replayStorageKey = 'rhythm_master_replays'; // 回放较大，与其他数据分开保存
     this.defaultSettings = {
       audio: {
         bgmEnabled: true,
@@ -22,9 +33,14 @@ class GameDataManager {
         fullscreen: false,
         theme: 'default'
       },
-      difficulty: 'normal'
+      difficulty: 'normal',
+      keyBindings: {}, // 按轨道数量保存的自定义键位，如 { 7: [['s'], ['d'], ...] }
+      gamepadBindings: {}, // 按轨道数量保存的手柄按钮绑定，如 { 4: [[14], [15], [2], [1]] }
+      midiBindings: {}, // 按轨道数量保存的MIDI音符绑定，如 { 4: [[36], [38], [42], [46]] }
+      calibration: { ...DEFAULT_CALIBRATION } // 延迟校准(ms)，见 calibration.js
     };
     this.loadData();
+    this.loadReplays();
   }
 
   /**
@@ -39,11 +55,11 @@ class GameDataManager {
         this.highScores = data.highScores || {};
         this.stats = data.stats || this._getDefaultStats();
       } else {
-        this.resetData();
+        this._resetGameData();
       }
     } catch (error) {
       console.warn('加载游戏数据失败:', error);
-      this.resetData();
+      this._resetGameData();
     }
   }
 
@@ -67,9 +83,18 @@ class GameDataManager {
   }
 
   /**
-   * 重置所有数据到默认值
+   * 重置所有数据到默认值，包括回放
    */
   resetData() {
+    this._resetGameData();
+    this.replays = [];
+    this.saveReplays();
+  }
+
+  /**
+   * 重置设置、最高分和统计数据；回放单独保存，不受影响
+   */
+  _resetGameData() {
     this.settings = { ...this.defaultSettings };
     this.highScores = {};
     this.stats = this._getDefaultStats();
@@ -121,31 +146,217 @@ class GameDataManager {
     return this.saveData();
   }
 
+  /**
+   * 获取指定轨道数量的键位
+   * @param {number} laneCount - 轨道数量
+   * @returns {string[][]} - 每条轨道绑定的按键，没有自定义时为默认键位
+   */
+  getKeyBindings(laneCount) {
+    const count = normalizeLaneCount(laneCount);
+    return resolveKeyBindings(count, this.settings.keyBindings?.[count]);
+  }
+
+  /**
+   * 保存指定轨道数量的键位
+   * @param {number} laneCount - 轨道数量
+   * @param {string[][]} bindings - 每条轨道绑定的按键
+   */
+  setKeyBindings(laneCount, bindings) {
+    const count = normalizeLaneCount(laneCount);
+    this.settings.keyBindings = {
+      ...(this.settings.keyBindings || {}),
+      [count]: resolveKeyBindings(count, bindings)
+    };
+    return this.saveData();
+  }
+
+  /**
+   * 恢复指定轨道数量的默认键位
+   * @param {number} laneCount - 轨道数量
+   */
+  resetKeyBindings(laneCount) {
+    const count = normalizeLaneCount(laneCount);
+    const keyBindings = { ...(this.settings.keyBindings || {}) };
+    delete keyBindings[count];
+    this.settings.keyBindings = keyBindings;
+    return this.saveData();
+  }
+
+  /**
+   * 获取指定轨道数量的手柄按钮绑定
+   * @param {number} laneCount - 轨道数量
+   * @returns {number[][]} - 每条轨道绑定的按钮编号，没有自定义时为默认绑定
+   */
+  getGamepadBindings(laneCount) {
+    const count = normalizeLaneCount(laneCount);
+    return resolveGamepadBindings(count, this.settings.gamepadBindings?.[count]);
+  }
+
+  /**
+   * 保存指定轨道数量的手柄按钮绑定
+   * @param {number} laneCount - 轨道数量
+   * @param {number[][]} bindings - 每条轨道绑定的按钮编号
+   */
+  setGamepadBindings(laneCount, bindings) {
+    const count = normalizeLaneCount(laneCount);
+    this.settings.gamepadBindings = {
+      ...(this.settings.gamepadBindings || {}),
+      [count]: resolveGamepadBindings(count, bindings)
+    };
+    return this.saveData();
+  }
+
+  /**
+   * 恢复指定轨道数量的默认手柄按钮绑定
+   * @param {number} laneCount - 轨道数量
+   */
+  resetGamepadBindings(laneCount) {
+    const count = normalizeLaneCount(laneCount);
+    const gamepadBindings = { ...(this.settings.gamepadBindings || {}) };
+    delete gamepadBindings[count];
+    this.settings.gamepadBindings = gamepadBindings;
+    return this.saveData();
+  }
+
+  /**
+   * 获取指定轨道数量的MIDI音符绑定
+   * @param {number} laneCount - 轨道数量
+   * @returns {number[][]} - 每条轨道绑定的音符编号，没有自定义时为默认绑定
+   */
+  getMidiBindings(laneCount) {
+    const count = normalizeLaneCount(laneCount);
+    return resolveMidiBindings(count, this.settings.midiBindings?.[count]);
+  }
+
+  /**
+   * 保存指定轨道数量的MIDI音符绑定
+   * @param {number} laneCount - 轨道数量
+   * @param {number[][]} bindings - 每条轨道绑定的音符编号
+   */
+  setMidiBindings(laneCount, bindings) {
+    const count = normalizeLaneCount(laneCount);
+    this.settings.midiBindings = {
+      ...(this.settings.midiBindings || {}),
+      [count]: resolveMidiBindings(count, bindings)
+    };
+    return this.saveData();
+  }
+
+  /**
+   * 恢复指定轨道数量的默认MIDI音符绑定
+   * @param {number} laneCount - 轨道数量
+   */
+  resetMidiBindings(laneCount) {
+    const count = normalizeLaneCount(laneCount);
+    const midiBindings = { ...(this.settings.midiBindings || {}) };
+    delete midiBindings[count];
+    this.settings.midiBindings = midiBindings;
+    return this.saveData();
+  }
+
+  /**
+   * 获取延迟校准设置
+   * @returns {{audioOffset: number, visualOffset: number}} - 音频延迟和显示延迟(ms)
+   */
+  getCalibration() {
+    return normalizeCalibration(this.settings.calibration);
+  }
+
+  /**
+   * 保存延迟校准设置，只更新给出的项
+   * @param {object} calibration - { audioOffset, visualOffset }，单位为毫秒
+   */
+  setCalibration(calibration) {
+    this.settings.calibration = normalizeCalibration({ ...this.getCalibration(), ...calibration });
+    return this.saveData();
+  }
+
+  /**
+   * 最高分记录的键，不同计分规则的分数不能比较，分别保存；经典规则沿用旧版本的键
+   * @param {string} songId - 歌曲ID
+   * @param {string} difficulty - 难度级别
+   * @param {string} rules - 计分规则ID
+   */
+  getHighScoreKey(songId, difficulty, rules = DEFAULT_SCORE_RULES) {
+    return rules === DEFAULT_SCORE_RULES ? `${songId}_${difficulty}` : `${songId}_${difficulty}_${rules}`;
+  }
+
+  /**
+   * 获取指定歌曲和难度的最高分记录
+   * 旧版本只保存分数，读取时转换为记录对象（没有种子，经典规则）
+   * @param {string} songId - 歌曲ID
+   * @param {string} difficulty - 难度级别
+   * @param {string} rules - 计分规则ID
+   * @returns {object|null} - { score, seed, mods, rules, updatedAt }
+   */
+  getHighScoreRecord(songId, difficulty, rules = DEFAULT_SCORE_RULES) {
+    const key = this.getHighScoreKey(songId, difficulty, rules);
+    const record = this.highScores[key];
+    
+    if (record === undefined || record === null) {
+      return null;
+    }
+    if (typeof record === 'number') {
+      return { score: record, seed: null, rules: DEFAULT_SCORE_RULES, updatedAt: null };
+    }
+    return { rules: DEFAULT_SCORE_RULES, ...record };
+  }
+
   /**
    * 获取指定歌曲和难度的最高分
+   * 指定种子时，只返回同一谱面（种子相同）的最高分
    * @param {string} songId - 歌曲ID
    * @param {string} difficulty - 难度级别
+   * @param {number} seed - 谱面种子
+   * @param {string} rules - 计分规则ID
    */
-  getHighScore(songId, difficulty) {
-    const key = `${songId}_${difficulty}`;
-    return this.highScores[key] || 0;
+  getHighScore(songId, difficulty, seed, rules = DEFAULT_SCORE_RULES) {
+    const record = this.getHighScoreRecord(songId, difficulty, rules);
+    if (!record) return 0;
+    if (seed !== undefined && record.seed !== seed) return 0;
+    return record.score;
   }
 
   /**
    * 更新最高分
+   * 最高分与谱面种子一起保存；种子不同说明谱面已改变，新成绩直接替换旧记录。
+   * 每种计分规则分别保存最高分，记录中注明计分规则。
+   * 通关类型（FULL COMBO 等）单独保留最好的一次，分数没有提高时也会更新
    * @param {string} songId - 歌曲ID
    * @param {string} difficulty - 难度级别
    * @param {number} score - 新分数
+   * @param {object} details - 成绩附加信息，seed: 谱面种子，mods: 启用的模组，rules: 计分规则ID，
+   *   grade: 评级，clearType: 通关类型
    */
-  updateHighScore(songId, difficulty, score) {
-    const key = `${songId}_${difficulty}`;
-    const currentHigh = this.highScores[key] || 0;
+  updateHighScore(songId, difficulty, score, details = {}) {
+    const rules = details.rules || DEFAULT_SCORE_RULES;
+    const key = this.getHighScoreKey(songId, difficulty, rules);
+    const seed = details.seed ?? null;
+    const currentHigh = this.getHighScore(songId, difficulty, seed, rules);
+    const record = this.getHighScoreRecord(songId, difficulty, rules);
+    const sameChart = record && record.seed === seed;
+    const clearType = details.clearType || null;
+    const bestClearType = sameChart && record.clearType && compareClearTypes(record.clearType, clearType) > 0
+      ? record.clearType
+      : clearType;
     
     if (score > currentHigh) {
-      this.highScores[key] = score;
+      this.highScores[key] = {
+        score,
+        seed,
+        mods: details.mods || [],
+        rules,
+        grade: details.grade || null,
+        clearType: bestClearType,
+        updatedAt: new Date().toISOString()
+      };
       this.saveData();
       return true;
     }
+    if (sameChart && clearType && bestClearType !== record.clearType) {
+      this.highScores[key] = { ...record, clearType: bestClearType };
+      this.saveData();
+    }
     return false;
   }
 
@@ -223,6 +434,88 @@ class GameDataManager {
     return { ...this.stats };
   }
 
+  /**
+   * 从localStorage加载回放
+   */
+  loadReplays() {
+    try {
+      const storedReplays = localStorage.getItem(this.replayStorageKey);
+      this.replays = storedReplays ? JSON.parse(storedReplays) : [];
+    } catch (error) {
+      console.warn('加载回放失败:', error);
+      this.replays = [];
+    }
+  }
+
+  /**
+   * 保存回放到localStorage
+   */
+  saveReplays() {
+    try {
+      localStorage.setItem(this.replayStorageKey, JSON.stringify(this.replays));
+      return true;
+    } catch (error) {
+      console.warn('保存回放失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 保存一局游戏的回放
+   * @param {object} replay - 回放数据
+   * @returns {string|null} - 回放ID，保存失败时返回null
+   */
+  saveReplay(replay) {
+    const id = `replay_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+    this.replays = [...this.replays, { ...replay, id }].slice(-MAX_REPLAYS);
+    return this._storeReplays() ? id : null;
+  }
+
+  /**
+   * 保存回放，存储空间不足时删除较早的回放后重试
+   * @returns {boolean} - 是否至少保存了一个回放
+   */
+  _storeReplays() {
+    while (!this.saveReplays()) {
+      if (this.replays.length <= 1) {
+        this.replays = [];
+        this.saveReplays();
+        return false;
+      }
+      this.replays = this.replays.slice(1);
+    }
+    return true;
+  }
+
+  /**
+   * 获取保存的回放，最新的在前
+   * @param {string} songId - 只返回该歌曲的回放，不指定时返回全部
+   * @param {string} difficulty - 只返回该难度的回放
+   */
+  getReplays(songId, difficulty) {
+    return this.replays
+      .filter(replay => (!songId || replay.songId === songId) && (!difficulty || replay.difficulty === difficulty))
+      .reverse();
+  }
+
+  /**
+   * 获取指定ID的回放
+   * @param {string} id - 回放ID
+   * @returns {object|null}
+   */
+  getReplay(id) {
+    return this.replays.find(replay => replay.id === id) || null;
+  }
+
+  /**
+   * 删除回放
+   * @param {string} id - 回放ID
+   */
+  deleteReplay(id) {
+    this.replays = this.replays.filter(replay => replay.id !== id);
+    return this.saveReplays();
+  }
+
   /**
    * 导出游戏数据
    */
@@ -231,6 +524,7 @@ class GameDataManager {
       settings: this.settings,
       highScores: this.highScores,
       stats: this.stats,
+      replays: this.replays,
       exportDate: new Date().toISOString(),
       version: '1.0'
     };
@@ -258,6 +552,11 @@ class GameDataManager {
         this.stats = data.stats;
       }
       
+      if (Array.isArray(data.replays)) {
+        this.replays = data.replays.slice(-MAX_REPLAYS);
+        this._storeReplays();
+      }
+      
       this.saveData();
       return true;
     } catch (error) {
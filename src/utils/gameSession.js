@@ -0,0 +1,334 @@
+/**
+ * 判定会话
+ * 负责一局游戏的音符判定和长按，判定结果交给本局的分数计算器计算分数、连击和判定统计。
+ * 会话不读取时钟也不依赖界面：输入事件和时间推进都以歌曲时间(ms)传入，
+ * 错过和长按结束按发生时间的先后处理，因此同样的谱面和输入总是得到同样的结果，与帧率无关。
+ * 游戏界面、自动演奏和无界面的校验都使用同一套判定
+ */
+import { normalizeJudgmentWindows, getJudgment, isNoteMissed } from './judgment';
+import { LifeGauge } from './lifeGauge';
+import { HitErrorTracker } from './hitErrors';
+import { ScoreCalculator, calculateMaxScore } from './scoreCalculator';
+
+export const HOLD_TICK_INTERVAL = 100; // 持续分的计分间隔(ms)
+
+/**
+ * 是否为长按音符
+ * @param {object} note - 音符，duration 为长按时长(ms)
+ */
+export function isHoldNote(note) {
+  return note.duration > 0;
+}
+
+/**
+ * 计算谱面的理论最高分：所有头部和尾部都为perfect，长按音符按满全程
+ * @param {Array<{duration: number}>} notes - 谱面音符
+ * @param {number} scoreMultiplier - 模组的分数倍率
+ * @param {string|object} rules - 计分规则
+ * @returns {number}
+ */
+export function getMaxScore(notes, scoreMultiplier = 1, rules) {
+  let judgmentCount = 0;
+  let holdTicks = 0;
+
+  notes.forEach(note => {
+    judgmentCount += isHoldNote(note) ? 2 : 1;
+    if (isHoldNote(note)) {
+      holdTicks += Math.floor(note.duration / HOLD_TICK_INTERVAL);
+    }
+  });
+
+  return calculateMaxScore(judgmentCount, holdTicks, scoreMultiplier, rules);
+}
+
+export class GameSession {
+  /**
+   * @param {object} options - 配置参数
+   * @param {object} options.judgmentWindows - 判定窗口(ms)
+   * @param {number} options.scoreMultiplier - 模组的分数倍率，作用于判定分和持续分
+   * @param {string|object} options.rules - 计分规则
+   * @param {string} options.gauge - 体力槽类型
+   * @param {function} options.onJudgment - 每次判定后调用，参数为 (judgment, note, part)，
+   *   part 为 head 或 tail；长按音符头部错过时尾部一起计为miss，只调用一次
+   */
+  constructor(options = {}) {
+    this.judgmentWindows = normalizeJudgmentWindows(options.judgmentWindows);
+    this.onJudgment = options.onJudgment || null;
+    this.scoreMultiplier = options.scoreMultiplier ?? 1;
+    this.rules = options.rules;
+    this.gaugeType = options.gauge;
+    this.reset();
+  }
+
+  /**
+   * 清空音符和成绩，开始新的一局
+   */
+  reset() {
+    this.pending = []; // 未判定完的音符，按时间排序
+    this.heldInputs = new Map(); // 按住中的输入，键为 inputId，值为轨道
+    this.time = -Infinity; // 已推进到的歌曲时间
+    this.noteCount = 0;
+    this.scoreCalculator = new ScoreCalculator({ rules: this.rules, scoreMultiplier: this.scoreMultiplier });
+    this.gauge = new LifeGauge(this.gaugeType);
+    this.hitErrors = new HitErrorTracker(this.judgmentWindows);
+  }
+
+  /**
+   * 设置一局的全部音符（谱面模式）
+   * 音符对象会被直接修改，界面可以用同一批对象渲染判定状态
+   * @param {Array<{lane: number, time: number, duration: number}>} notes - 音符，time 为到达判定线的时间(ms)
+   */
+  setNotes(notes) {
+    this.reset();
+    [...notes].sort((a, b) => a.time - b.time).forEach(note => this.addNote(note));
+  }
+
+  /**
+   * 加入一个音符（随机模式在游戏中不断加入）
+   * @param {object} note - 音符，判定状态会被重置
+   */
+  addNote(note) {
+    note.duration = note.duration || 0;
+
+    const existing = this.pending.indexOf(note);
+    if (existing >= 0) {
+      // 对象池重用了还未判定的音符
+      this.pending.splice(existing, 1);
+    } else {
+      this.noteCount++;
+      this.scoreCalculator.addChartTotals(
+        isHoldNote(note) ? 2 : 1,
+        isHoldNote(note) ? Math.floor(note.duration / HOLD_TICK_INTERVAL) : 0
+      );
+    }
+
+    note.hit = false;
+    note.judgment = null;
+    note.hitOffset = null;
+    note.holding = false;      // 长按音符：头部已判定且仍按住
+    note.holdComplete = false; // 长按音符：尾部已判定
+    note.holdBroken = false;   // 长按音符：头部错过或提前松开
+    note.holdTicks = 0;        // 长按音符：已获得持续分的间隔数
+    note.tailJudgment = null;
+
+    let index = this.pending.length;
+    while (index > 0 && this.pending[index - 1].time > note.time) {
+      index--;
+    }
+    this.pending.splice(index, 0, note);
+  }
+
+  /**
+   * 处理一个输入事件，处理前先把时间推进到事件发生的时间
+   * @param {object} event - { type: 'press'|'release', lane, inputId, time }，time 为歌曲时间(ms)
+   */
+  processInput(event) {
+    this.update(event.time);
+
+    if (event.type === 'press') {
+      // 同一输入未松开时的重复按下不计
+      if (this.heldInputs.has(event.inputId)) return;
+      this.heldInputs.set(event.inputId, event.lane);
+      this.press(event.lane, event.time);
+    } else if (event.type === 'release') {
+      const lane = this.heldInputs.get(event.inputId);
+      if (lane === undefined) return;
+      this.heldInputs.delete(event.inputId);
+      this.release(lane, event.time);
+    }
+  }
+
+  /**
+   * 把时间推进到指定的歌曲时间：判定错过的音符、发放持续分、完成按到尾部的长按音符
+   * @param {number} time - 歌曲时间(ms)
+   */
+  update(time) {
+    if (time < this.time) return;
+    this.time = time;
+
+    // 收集到期的错过和长按结束，按发生时间依次处理
+    const due = [];
+    for (const note of this.pending) {
+      // 音符按时间排序，之后的音符不会到期
+      if (note.time > time) break;
+
+      if (!note.hit && isNoteMissed(note.time, time, this.judgmentWindows)) {
+        due.push({ time: note.time + this.judgmentWindows.bad, note, type: 'miss' });
+      } else if (note.holding) {
+        const tailTime = note.time + note.duration;
+        if (time >= tailTime) {
+          due.push({ time: tailTime, note, type: 'complete' });
+        } else {
+          this.awardHoldTicks(note, time);
+        }
+      }
+    }
+
+    due.sort((a, b) => a.time - b.time).forEach(({ note, type }) => {
+      if (type === 'miss') {
+        this.miss(note);
+      } else {
+        this.completeHold(note, 'perfect');
+      }
+    });
+
+    if (due.length > 0) {
+      this.pending = this.pending.filter(note => !this.isResolved(note));
+    }
+  }
+
+  /**
+   * 轨道按下：判定该轨道上时间偏差最小、且在bad判定窗口内的音符
+   * @param {number} lane - 轨道索引
+   * @param {number} time - 按下的歌曲时间(ms)
+   * @returns {string|null} - 判定结果，没有可判定的音符时返回null
+   */
+  press(lane, time) {
+    let target = null;
+    let hitOffset = 0;
+
+    for (const note of this.pending) {
+      // 有符号的时间偏差，负数表示提前
+      const offset = time - note.time;
+      if (offset < -this.judgmentWindows.bad) break;
+      if (note.hit || note.lane !== lane || offset > this.judgmentWindows.bad) continue;
+
+      if (!target || Math.abs(offset) < Math.abs(hitOffset)) {
+        target = note;
+        hitOffset = offset;
+      }
+    }
+
+    if (!target) return null;
+
+    const judgment = getJudgment(hitOffset, this.judgmentWindows);
+    target.hit = true;
+    target.judgment = judgment;
+    target.hitOffset = hitOffset;
+    this.hitErrors.record(time, lane, hitOffset, judgment);
+    // 长按音符头部击中后开始跟踪按住状态
+    if (isHoldNote(target)) {
+      target.holding = true;
+    } else {
+      this.removePending(target);
+    }
+
+    this.applyJudgment(judgment, target, 'head', time);
+    return judgment;
+  }
+
+  /**
+   * 轨道松开：按松开时间判定该轨道正在按住的长按音符尾部
+   * 轨道仍被其他输入按住时不算松开
+   * @param {number} lane - 轨道索引
+   * @param {number} time - 松开的歌曲时间(ms)
+   */
+  release(lane, time) {
+    if (this.isLaneHeld(lane)) return;
+
+    const note = this.pending.find(item => item.holding && item.lane === lane);
+    if (!note) return;
+
+    // 尾部按松开时间判定，提前超过bad窗口视为断开
+    const tailTime = note.time + note.duration;
+    const judgment = time >= tailTime ? 'perfect' : getJudgment(time - tailTime, this.judgmentWindows);
+    if (judgment) {
+      this.completeHold(note, judgment, time);
+    } else {
+      this.breakHold(note, time);
+    }
+    this.removePending(note);
+  }
+
+  /**
+   * 轨道是否仍被某个输入按住
+   * @param {number} lane - 轨道索引
+   */
+  isLaneHeld(lane) {
+    for (const heldLane of this.heldInputs.values()) {
+      if (heldLane === lane) return true;
+    }
+    return false;
+  }
+
+  /**
+   * 所有音符是否都已判定完
+   */
+  isFinished() {
+    return this.pending.length === 0;
+  }
+
+  /**
+   * 当前成绩：分数计算器的统计数据，以及音符数、体力和击打偏差
+   */
+  getResults() {
+    return {
+      ...this.scoreCalculator.getStats(),
+      noteCount: this.noteCount,
+      life: this.gauge.getResults(),
+      hitErrors: this.hitErrors.getResults()
+    };
+  }
+
+  // 按已按住的时间发放持续分
+  awardHoldTicks(note, heldUntil) {
+    const ticks = Math.floor((heldUntil - note.time) / HOLD_TICK_INTERVAL);
+    if (ticks > note.holdTicks) {
+      this.scoreCalculator.addHoldTicks(ticks - note.holdTicks);
+      note.holdTicks = ticks;
+    }
+  }
+
+  // 完成长按音符，判定尾部
+  completeHold(note, judgment, releaseTime = note.time + note.duration) {
+    this.awardHoldTicks(note, Math.min(releaseTime, note.time + note.duration));
+    note.holding = false;
+    note.holdComplete = true;
+    note.tailJudgment = judgment;
+    this.applyJudgment(judgment, note, 'tail', releaseTime);
+  }
+
+  // 提前松开长按音符：尾部计为miss并中断连击
+  breakHold(note, releaseTime) {
+    this.awardHoldTicks(note, releaseTime);
+    note.holding = false;
+    note.holdBroken = true;
+    note.tailJudgment = 'miss';
+    this.applyJudgment('miss', note, 'tail', releaseTime);
+  }
+
+  // 音符错过：长按音符头部错过时尾部同样计为miss
+  miss(note) {
+    const time = note.time + this.judgmentWindows.bad;
+    note.hit = true;
+    note.judgment = 'miss';
+    this.scoreCalculator.handleHit('miss');
+    this.gauge.applyJudgment('miss', time);
+
+    if (isHoldNote(note)) {
+      note.holdBroken = true;
+      note.tailJudgment = 'miss';
+      this.scoreCalculator.handleHit('miss');
+      this.gauge.applyJudgment('miss', time);
+    }
+
+    if (this.onJudgment) this.onJudgment('miss', note, 'head');
+  }
+
+  // 记录一次判定：更新分数计算器和体力
+  applyJudgment(judgment, note, part, time) {
+    this.scoreCalculator.handleHit(judgment);
+    this.gauge.applyJudgment(judgment, time);
+
+    if (this.onJudgment) this.onJudgment(judgment, note, part);
+  }
+
+  isResolved(note) {
+    return note.hit && !note.holding;
+  }
+
+  removePending(note) {
+    const index = this.pending.indexOf(note);
+    if (index >= 0) this.pending.splice(index, 1);
+  }
+}
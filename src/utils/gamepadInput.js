@@ -0,0 +1,247 @@
+/**
+ * 手柄输入
+ * 每帧轮询 navigator.getGamepads()，把按钮状态的变化（边沿）转换为轨道的按下/松开事件。
+ * 按钮编号使用 Gamepad API 的标准布局（standard mapping）
+ */
+import { normalizeLaneCount } from './keyBindings';
+import { InputSource, getEventTimestamp } from './inputSource';
+
+// 模拟按钮（如扳机键）超过该值视为按下
+const PRESS_THRESHOLD = 0.5;
+
+// 暂停按钮（Start），不能绑定到轨道
+export const GAMEPAD_PAUSE_BUTTON = 9;
+
+// 标准布局的按钮名称
+const BUTTON_LABELS = [
+  'A', 'B', 'X', 'Y',
+  'LB', 'RB', 'LT', 'RT',
+  'Back', 'Start', 'L3', 'R3',
+  '↑', '↓', '←', '→',
+  'Home'
+];
+
+// 各轨道数量的默认按钮：左手使用方向键和LB，右手使用ABXY和RB
+const DEFAULT_LAYOUTS = {
+  3: [14, 0, 1],
+  4: [14, 15, 2, 1],
+  5: [14, 15, 0, 2, 1],
+  6: [4, 14, 15, 2, 1, 5],
+  7: [4, 14, 15, 0, 2, 1, 5],
+  8: [4, 14, 13, 15, 2, 0, 1, 5]
+};
+
+/**
+ * 获取默认的手柄按钮绑定
+ * @param {number} laneCount - 轨道数量
+ * @returns {number[][]} - 每条轨道绑定的按钮编号
+ */
+export function getDefaultGamepadBindings(laneCount) {
+  return DEFAULT_LAYOUTS[normalizeLaneCount(laneCount)].map(button => [button]);
+}
+
+/**
+ * 校验保存的按钮绑定，无效时使用默认绑定
+ * @param {number} laneCount - 轨道数量
+ * @param {number[][]} saved - 保存的按钮绑定
+ * @returns {number[][]} - 每条轨道至少有一个按钮的绑定
+ */
+export function resolveGamepadBindings(laneCount, saved) {
+  const count = normalizeLaneCount(laneCount);
+  const isValid = Array.isArray(saved) &&
+    saved.length === count &&
+    saved.every(buttons => Array.isArray(buttons) && buttons.length > 0 &&
+      buttons.every(button => Number.isInteger(button) && button >= 0 && button !== GAMEPAD_PAUSE_BUTTON));
+
+  return isValid ? saved.map(buttons => [...buttons]) : getDefaultGamepadBindings(count);
+}
+
+/**
+ * 检查按钮能否绑定到指定轨道
+ * @param {number} button - 按钮编号
+ * @param {number} lane - 轨道索引
+ * @param {number[][]} bindings - 当前绑定
+ * @returns {string|null} - 冲突说明，没有冲突时返回null
+ */
+export function getButtonConflict(button, lane, bindings) {
+  if (button === GAMEPAD_PAUSE_BUTTON) {
+    return `${getButtonLabel(button)} 用于暂停，不能绑定到轨道`;
+  }
+
+  const boundLane = bindings.findIndex(buttons => buttons.includes(button));
+  if (boundLane === lane) {
+    return `${getButtonLabel(button)} 已绑定到该轨道`;
+  }
+  if (boundLane >= 0) {
+    return `${getButtonLabel(button)} 已绑定到轨道${boundLane + 1}`;
+  }
+
+  return null;
+}
+
+/**
+ * 按钮的显示名称
+ * @param {number} button - 按钮编号
+ */
+export function getButtonLabel(button) {
+  return BUTTON_LABELS[button] || `按钮${button}`;
+}
+
+/**
+ * 手柄输入源
+ * 记录每个按钮上一次轮询的状态，只在状态变化时产生事件；
+ * start 后每帧轮询一次，暂停时也继续轮询，以便用Start键继续
+ */
+export class GamepadInput extends InputSource {
+  /**
+   * @param {object} options - 配置参数
+   * @param {function} options.getGamepads - 获取手柄列表，默认使用 navigator.getGamepads()
+   * @param {function} options.now - 系统时钟，默认使用performance.now()
+   */
+  constructor(options = {}) {
+    super('gamepad');
+    this.frameId = null;
+    this.getGamepads = options.getGamepads ||
+      (() => (typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : []));
+    this.now = options.now || (() => performance.now());
+    this.buttonToLane = new Map();
+    this.pressed = new Set(); // 当前按下的按钮，键为 "手柄索引:按钮编号"
+  }
+
+  /**
+   * 浏览器是否支持 Gamepad API
+   */
+  static isSupported() {
+    return typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+  }
+
+  /**
+   * 开始每帧轮询，开始前已按住的按钮不算按下
+   * @param {function} listener - 接收轨道事件的回调
+   */
+  start(listener) {
+    super.start(listener);
+    if (this.frameId !== null || !GamepadInput.isSupported()) return;
+
+    this.sync();
+    const tick = () => {
+      try {
+        this.poll().forEach(event => this.emit(event));
+      } catch (error) {
+        console.error('读取手柄输入时出错:', error);
+      }
+      this.frameId = requestAnimationFrame(tick);
+    };
+    this.frameId = requestAnimationFrame(tick);
+  }
+
+  /**
+   * 停止轮询
+   */
+  stop() {
+    super.stop();
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  /**
+   * 设置按钮到轨道的绑定
+   * @param {number[][]} bindings - 每条轨道绑定的按钮编号
+   */
+  setBindings(bindings) {
+    this.buttonToLane = new Map();
+    bindings.forEach((buttons, lane) => {
+      buttons.forEach(button => {
+        if (!this.buttonToLane.has(button)) this.buttonToLane.set(button, lane);
+      });
+    });
+  }
+
+  /**
+   * 当前连接的手柄
+   * @returns {Gamepad[]}
+   */
+  getConnectedGamepads() {
+    return Array.from(this.getGamepads() || []).filter(gamepad => gamepad && gamepad.connected !== false);
+  }
+
+  /**
+   * 轮询所有手柄，返回自上次轮询以来的按钮变化
+   * 断开的手柄上仍按住的按钮视为松开
+   * @returns {Array<{gamepadIndex: number, button: number, pressed: boolean, timestamp: number}>}
+   *   timestamp 为变化发生的系统时钟时间(ms)
+   */
+  pollButtons() {
+    const now = this.now();
+    const edges = [];
+    const seen = new Set();
+
+    this.getConnectedGamepads().forEach(gamepad => {
+      // 手柄的 timestamp 为最近一次状态变化的时间
+      const timestamp = getEventTimestamp(gamepad.timestamp, now);
+
+      gamepad.buttons.forEach((state, button) => {
+        const id = `${gamepad.index}:${button}`;
+        const isPressed = !!state && (state.pressed || state.value > PRESS_THRESHOLD);
+        if (isPressed) seen.add(id);
+        if (isPressed === this.pressed.has(id)) return;
+
+        if (isPressed) {
+          this.pressed.add(id);
+        } else {
+          this.pressed.delete(id);
+        }
+        edges.push({ gamepadIndex: gamepad.index, button, pressed: isPressed, timestamp });
+      });
+    });
+
+    // 手柄断开后收不到松开状态
+    [...this.pressed].forEach(id => {
+      if (seen.has(id)) return;
+      this.pressed.delete(id);
+      const [gamepadIndex, button] = id.split(':').map(Number);
+      edges.push({ gamepadIndex, button, pressed: false, timestamp: now });
+    });
+
+    return edges;
+  }
+
+  /**
+   * 轮询并转换为游戏事件
+   * @returns {Array<{type: string, lane?: number, inputId?: string, timestamp: number}>}
+   *   type 为 press、release 或 pause；inputId 用于对应同一按钮的按下和松开
+   */
+  poll() {
+    const events = [];
+
+    this.pollButtons().forEach(edge => {
+      if (edge.button === GAMEPAD_PAUSE_BUTTON) {
+        if (edge.pressed) events.push({ type: 'pause', timestamp: edge.timestamp });
+        return;
+      }
+
+      const lane = this.buttonToLane.get(edge.button);
+      if (lane === undefined) return;
+
+      events.push({
+        type: edge.pressed ? 'press' : 'release',
+        lane,
+        inputId: `pad:${edge.gamepadIndex}:${edge.button}`,
+        timestamp: edge.timestamp
+      });
+    });
+
+    return events;
+  }
+
+  /**
+   * 把当前按住的按钮记为已按下，之后只在再次变化时产生事件
+   * 用于开始游戏或开始录入时忽略已经按住的按钮
+   */
+  sync() {
+    this.pressed = new Set();
+    this.pollButtons();
+  }
+}
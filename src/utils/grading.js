@@ -0,0 +1,159 @@
+/**
+ * 评级
+ * 评级线和通关标记的唯一来源：分数计算器、成绩页和最高分记录都通过这里评定。
+ * 评级线是数据：每个等级给出需要达到的准确率，以及可选的perfect比例，从高到低排列
+ */
+
+// 评级线，计分规则通过 grades 选择使用哪一套
+export const GRADE_SCALES = {
+  // 经典：SSS 还需要 90% 的判定为 perfect
+  standard: [
+    { grade: 'SSS', accuracy: 98, perfectRate: 90, color: '#ffaa00' },
+    { grade: 'SS', accuracy: 95, color: '#ff8800' },
+    { grade: 'S', accuracy: 90, color: '#ff6600' },
+    { grade: 'A', accuracy: 80, color: '#00ff88' },
+    { grade: 'B', accuracy: 70, color: '#00bfff' },
+    { grade: 'C', accuracy: 60, color: '#ffff00' },
+    { grade: 'D', accuracy: 50, color: '#ff8800' },
+    { grade: 'F', accuracy: 0, color: '#ff0000' }
+  ],
+  // 百万分
+  normalized: [
+    { grade: 'SSS', accuracy: 99, color: '#ffaa00' },
+    { grade: 'SS', accuracy: 97, color: '#ff8800' },
+    { grade: 'S', accuracy: 94, color: '#ff6600' },
+    { grade: 'A', accuracy: 90, color: '#00ff88' },
+    { grade: 'B', accuracy: 80, color: '#00bfff' },
+    { grade: 'C', accuracy: 70, color: '#ffff00' },
+    { grade: 'D', accuracy: 60, color: '#ff8800' },
+    { grade: 'F', accuracy: 0, color: '#ff0000' }
+  ],
+  // EX分数：分数率达到满分的 8/9、7/9 ……
+  ex: [
+    { grade: 'AAA', accuracy: 800 / 9, color: '#ffaa00' },
+    { grade: 'AA', accuracy: 700 / 9, color: '#ff8800' },
+    { grade: 'A', accuracy: 600 / 9, color: '#00ff88' },
+    { grade: 'B', accuracy: 500 / 9, color: '#00bfff' },
+    { grade: 'C', accuracy: 400 / 9, color: '#ffff00' },
+    { grade: 'D', accuracy: 300 / 9, color: '#ff8800' },
+    { grade: 'E', accuracy: 200 / 9, color: '#ff6666' },
+    { grade: 'F', accuracy: 0, color: '#ff0000' }
+  ]
+};
+
+export const DEFAULT_GRADE_SCALE = 'standard';
+
+// 通关类型，从低到高
+export const CLEAR_TYPES = [
+  { id: 'failed', name: 'FAILED', color: '#ff4757' },
+  { id: 'clear', name: 'CLEAR', color: '#4ecdc4' },
+  { id: 'fullCombo', name: 'FULL COMBO', color: '#00bfff' },
+  { id: 'allPerfect', name: 'ALL PERFECT', color: '#ffaa00' }
+];
+
+/**
+ * 获取评级线
+ * @param {string|Array} scale - 评级线ID，或自定义的评级线数组
+ * @returns {Array}
+ */
+export function getGradeScale(scale) {
+  if (Array.isArray(scale)) return scale;
+  return GRADE_SCALES[scale] || GRADE_SCALES[DEFAULT_GRADE_SCALE];
+}
+
+/**
+ * 评定等级
+ * 准确率按显示的精度（向下取两位小数）比较，显示的准确率达到评级线时一定获得该评级
+ * @param {object} result - { accuracy, judgments, totalJudgments }
+ * @param {string|Array} scale - 评级线
+ * @returns {string} - 等级
+ */
+export function getGrade(result, scale = DEFAULT_GRADE_SCALE) {
+  const grades = getGradeScale(scale);
+  const total = getTotalJudgments(result);
+  if (total === 0) return grades[grades.length - 1].grade;
+
+  const accuracy = Math.floor((result.accuracy || 0) * 100) / 100;
+  const perfectRate = (result.judgments?.perfect || 0) / total * 100;
+  const entry = grades.find(item => accuracy >= item.accuracy && perfectRate >= (item.perfectRate || 0));
+  return (entry || grades[grades.length - 1]).grade;
+}
+
+/**
+ * 等级的显示颜色
+ * @param {string} grade - 等级
+ * @param {string|Array} scale - 评级线
+ */
+export function getGradeColor(grade, scale = DEFAULT_GRADE_SCALE) {
+  return getGradeScale(scale).find(item => item.grade === grade)?.color || '#ff0000';
+}
+
+/**
+ * 通关标记
+ * - fullCombo: 没有 Miss，连击从未中断
+ * - allPerfect: 所有判定都是 Perfect
+ * @param {object} result - { judgments, totalJudgments, failed }
+ * @returns {{fullCombo: boolean, allPerfect: boolean}}
+ */
+export function getClearFlags(result) {
+  const total = getTotalJudgments(result);
+  const judgments = result.judgments || {};
+  const cleared = total > 0 && !result.failed;
+
+  return {
+    fullCombo: cleared && (judgments.miss || 0) === 0,
+    allPerfect: cleared && (judgments.perfect || 0) === total
+  };
+}
+
+/**
+ * 通关类型：FAILED、CLEAR、FULL COMBO 或 ALL PERFECT
+ * @param {object} result - { judgments, totalJudgments, failed }
+ * @returns {string} - 通关类型ID
+ */
+export function getClearType(result) {
+  if (result.failed) return 'failed';
+  const flags = getClearFlags(result);
+  if (flags.allPerfect) return 'allPerfect';
+  if (flags.fullCombo) return 'fullCombo';
+  return 'clear';
+}
+
+/**
+ * 获取通关类型的定义
+ * @param {string} id - 通关类型ID
+ */
+export function getClearTypeInfo(id) {
+  return CLEAR_TYPES.find(type => type.id === id) || CLEAR_TYPES[1];
+}
+
+/**
+ * 比较两个通关类型，返回正数表示 a 更好
+ * @param {string} a - 通关类型ID
+ * @param {string} b - 通关类型ID
+ */
+export function compareClearTypes(a, b) {
+  const index = id => CLEAR_TYPES.findIndex(type => type.id === id);
+  return index(a) - index(b);
+}
+
+/**
+ * 成绩的完整评定，用于成绩页和最高分记录
+ * @param {object} result - { accuracy, judgments, totalJudgments, failed }
+ * @param {string|Array} scale - 评级线
+ * @returns {{grade: string, color: string, clearType: string, fullCombo: boolean, allPerfect: boolean}}
+ */
+export function gradeResult(result, scale = DEFAULT_GRADE_SCALE) {
+  const grade = getGrade(result, scale);
+  return {
+    grade,
+    color: getGradeColor(grade, scale),
+    clearType: getClearType(result),
+    ...getClearFlags(result)
+  };
+}
+
+function getTotalJudgments(result) {
+  if (Number.isFinite(result.totalJudgments)) return result.totalJudgments;
+  return Object.values(result.judgments || {}).reduce((sum, count) => sum + count, 0);
+}
@@ -0,0 +1,121 @@
+/**
+ * 击打偏差
+ * 记录每次击打的有符号时间偏差（击打时间减去音符时间，负数表示提前），
+ * 用于成绩页的偏差分布、平均偏差和稳定度，以及游戏中判定线下的实时偏差条。
+ * 只记录音符头部的按下：长按音符尾部在到达尾部后松开都算 Perfect，松开的偏差没有意义
+ */
+import { normalizeJudgmentWindows } from './judgment';
+
+export const HISTOGRAM_BIN_SIZE = 10; // 偏差分布每一格的宽度(ms)
+
+export class HitErrorTracker {
+  /**
+   * @param {object} judgmentWindows - 判定窗口(ms)，决定偏差分布的范围
+   */
+  constructor(judgmentWindows) {
+    this.judgmentWindows = normalizeJudgmentWindows(judgmentWindows);
+    this.hits = []; // [歌曲时间(ms), 轨道, 偏差(ms), 判定]
+  }
+
+  /**
+   * 记录一次击打
+   * @param {number} time - 击打的歌曲时间(ms)
+   * @param {number} lane - 轨道索引
+   * @param {number} offset - 有符号的时间偏差(ms)
+   * @param {string} judgment - 判定结果
+   */
+  record(time, lane, offset, judgment) {
+    this.hits.push([time, lane, offset, judgment]);
+  }
+
+  /**
+   * 最近一段时间内的击打，用于实时偏差条
+   * @param {number} time - 当前歌曲时间(ms)
+   * @param {number} duration - 时间范围(ms)
+   * @returns {Array} - 从旧到新的击打
+   */
+  getRecent(time, duration) {
+    let start = this.hits.length;
+    while (start > 0 && time - this.hits[start - 1][0] <= duration) {
+      start--;
+    }
+    return this.hits.slice(start);
+  }
+
+  /**
+   * 偏差结果，用于成绩页
+   */
+  getResults() {
+    return {
+      judgmentWindows: { ...this.judgmentWindows },
+      hits: this.hits.map(hit => [...hit])
+    };
+  }
+}
+
+/**
+ * 偏差统计
+ * 不稳定度（UR）按惯例为标准差的10倍，越小说明击打越稳定
+ * @param {Array} hits - HitErrorTracker 记录的击打
+ * @param {number} laneCount - 轨道数量，决定每轨统计的条数
+ * @returns {{count: number, mean: number, stdDev: number, unstableRate: number, early: number, late: number,
+ *   lanes: Array<{early: number, late: number}>}}
+ */
+export function getHitErrorStats(hits, laneCount = 0) {
+  const lanes = Array.from({ length: laneCount }, () => ({ early: 0, late: 0 }));
+  let early = 0;
+  let late = 0;
+  let sum = 0;
+
+  hits.forEach(([, lane, offset]) => {
+    sum += offset;
+    if (offset === 0) return;
+    while (lanes.length <= lane) lanes.push({ early: 0, late: 0 });
+    if (offset < 0) {
+      early++;
+      lanes[lane].early++;
+    } else {
+      late++;
+      lanes[lane].late++;
+    }
+  });
+
+  const count = hits.length;
+  const mean = count > 0 ? sum / count : 0;
+  const variance = count > 0 ? hits.reduce((total, [, , offset]) => total + (offset - mean) ** 2, 0) / count : 0;
+  const stdDev = Math.sqrt(variance);
+
+  return { count, mean, stdDev, unstableRate: stdDev * 10, early, late, lanes };
+}
+
+/**
+ * 偏差分布
+ * 范围为 bad 判定窗口的正负两侧，以0为中心分格，超出范围的偏差计入两端的格子
+ * @param {Array} hits - HitErrorTracker 记录的击打
+ * @param {number} range - 分布的范围(ms)，通常为 bad 判定窗口
+ * @param {number} binSize - 每一格的宽度(ms)
+ * @returns {Array<{from: number, to: number, count: number}>} - 从提前到延后排列
+ */
+export function getHitErrorHistogram(hits, range, binSize = HISTOGRAM_BIN_SIZE) {
+  const half = Math.ceil(range / binSize - 0.5);
+  const bins = [];
+  for (let i = -half; i <= half; i++) {
+    bins.push({ from: (i - 0.5) * binSize, to: (i + 0.5) * binSize, count: 0 });
+  }
+
+  hits.forEach(([, , offset]) => {
+    const index = Math.max(-half, Math.min(half, Math.round(offset / binSize))) + half;
+    bins[index].count++;
+  });
+
+  return bins;
+}
+
+/**
+ * 偏差的显示文本，如 "+12.3ms"、"-4.0ms"
+ * @param {number} offset - 偏差(ms)
+ */
+export function formatHitOffset(offset) {
+  const value = Math.round((offset || 0) * 10) / 10;
+  return `${value > 0 ? '+' : ''}${value.toFixed(1)}ms`;
+}
@@ -0,0 +1,69 @@
+/**
+ * 输入管线
+ * 所有输入（键盘、触摸、鼠标、手柄、MIDI）在事件发生时记录时间戳并换算为歌曲时间，
+ * 按时间顺序排队，由游戏循环每帧统一取出判定。
+ * 判定只使用事件发生的时间，事件处理和调度的延迟不影响判定结果
+ */
+import { getEventTimestamp } from './inputSource';
+
+export class InputPipeline {
+  /**
+   * @param {object} options - 配置参数
+   * @param {function} options.toSongTime - 把系统时钟时间(ms)换算为歌曲时间(ms)
+   * @param {function} options.now - 系统时钟，默认使用performance.now()
+   */
+  constructor(options = {}) {
+    this.toSongTime = options.toSongTime || (clockTime => clockTime);
+    this.now = options.now || (() => performance.now());
+    this.queue = [];
+  }
+
+  /**
+   * 记录一个输入事件
+   * @param {object} event - { type: 'press'|'release', lane, inputId, timestamp, velocity, source }
+   *   timestamp 为事件发生的系统时钟时间，DOM 事件使用 event.timeStamp；无效时使用当前时间
+   * @returns {object} - 入队的事件，time 为换算后的歌曲时间
+   */
+  push(event) {
+    const timestamp = getEventTimestamp(event.timestamp, this.now());
+    const queued = {
+      velocity: null,
+      ...event,
+      timestamp,
+      time: this.toSongTime(timestamp)
+    };
+
+    // 不同输入源的事件到达顺序可能与发生顺序不同，按时间插入；时间相同时保持到达顺序
+    let index = this.queue.length;
+    while (index > 0 && this.queue[index - 1].time > queued.time) {
+      index--;
+    }
+    this.queue.splice(index, 0, queued);
+
+    return queued;
+  }
+
+  /**
+   * 取出所有排队的事件
+   * @returns {Array} - 按歌曲时间排序的事件
+   */
+  drain() {
+    const events = this.queue;
+    this.queue = [];
+    return events;
+  }
+
+  /**
+   * 丢弃所有排队的事件
+   */
+  clear() {
+    this.queue = [];
+  }
+
+  /**
+   * 排队中的事件数量
+   */
+  get size() {
+    return this.queue.length;
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * 输入源
+ * 键盘和触摸以外的输入设备（手柄、MIDI 等）都实现为输入源，
+ * 把设备自己的按钮或音符转换为统一的轨道事件交给游戏处理：
+ * { type: 'press'|'release'|'pause', lane, inputId, timestamp, velocity, source }
+ * - inputId 用于对应同一按钮的按下和松开
+ * - timestamp 为事件发生时的系统时钟时间(ms)，与 performance.now() 同一时基
+ * - velocity 为力度 (0-1)，设备没有力度时为null
+ */
+// 时间戳早于当前时间超过该值(ms)时视为时间基准错误
+const MAX_TIMESTAMP_AGE = 1000;
+
+/**
+ * 校验设备提供的事件时间戳，无效时使用当前时间
+ * @param {number} timestamp - 设备时间戳(ms)
+ * @param {number} now - 当前系统时钟时间(ms)
+ */
+export function getEventTimestamp(timestamp, now) {
+  if (!Number.isFinite(timestamp) || timestamp <= 0 || timestamp > now || now - timestamp > MAX_TIMESTAMP_AGE) {
+    return now;
+  }
+  return timestamp;
+}
+
+export class InputSource {
+  /**
+   * @param {string} name - 输入源名称，记录在事件的 source 中
+   */
+  constructor(name) {
+    this.name = name;
+    this.listener = null;
+  }
+
+  /**
+   * 开始产生事件
+   * @param {function} listener - 接收轨道事件的回调
+   */
+  start(listener) {
+    this.listener = listener;
+  }
+
+  /**
+   * 停止产生事件
+   */
+  stop() {
+    this.listener = null;
+  }
+
+  /**
+   * 设置设备按钮到轨道的绑定（每条轨道绑定的按钮列表），由各输入源实现
+   */
+  setBindings() {}
+
+  /**
+   * 把事件交给监听者
+   * @param {object} event - 轨道事件，缺少的字段使用默认值
+   */
+  emit(event) {
+    if (!this.listener) return;
+    this.listener({ velocity: null, source: this.name, ...event });
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * 判定工具
+ * 根据输入时间与音符预定时间的差值（毫秒）计算判定结果，
+ * 判定只与时间有关，不受音符速度和大小设置影响
+ */
+
+// 判定等级，从最严格到最宽松
+export const JUDGMENT_TYPES = ['perfect', 'great', 'good', 'bad'];
+
+// 默认判定窗口（毫秒）：允许的最大时间偏差，提前和延后对称
+export const DEFAULT_JUDGMENT_WINDOWS = {
+  perfect: 80,
+  great: 150,
+  good: 250,
+  bad: 350
+};
+
+/**
+ * 合并并校验判定窗口
+ * 无效的值使用默认窗口，并保证各级窗口逐级不减
+ * @param {object} windows - 自定义判定窗口
+ * @returns {object} - 完整的判定窗口
+ */
+export function normalizeJudgmentWindows(windows = {}) {
+  const result = {};
+  let previous = 0;
+
+  JUDGMENT_TYPES.forEach(type => {
+    const value = Number(windows?.[type]);
+    const window = Number.isFinite(value) && value > 0 ? value : DEFAULT_JUDGMENT_WINDOWS[type];
+    result[type] = Math.max(window, previous);
+    previous = result[type];
+  });
+
+  return result;
+}
+
+/**
+ * 根据时间偏差计算判定结果
+ * @param {number} offset - 输入时间减去音符时间（毫秒），负数表示提前
+ * @param {object} windows - 判定窗口
+ * @returns {string|null} - 判定结果，超出bad窗口时返回null
+ */
+export function getJudgment(offset, windows = DEFAULT_JUDGMENT_WINDOWS) {
+  const distance = Math.abs(offset);
+
+  for (const type of JUDGMENT_TYPES) {
+    if (distance <= windows[type]) {
+      return type;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 检查音符是否已经错过（延后超过bad窗口）
+ * @param {number} noteTime - 音符预定时间（毫秒）
+ * @param {number} currentTime - 当前时间（毫秒）
+ * @param {object} windows - 判定窗口
+ */
+export function isNoteMissed(noteTime, currentTime, windows = DEFAULT_JUDGMENT_WINDOWS) {
+  return currentTime - noteTime > windows.bad;
+}
@@ -0,0 +1,159 @@
+/**
+ * 键位与轨道布局
+ * 为 3-8 轨道（3K-8K）提供默认键位和轨道颜色。
+ * 每条轨道可以绑定多个按键，按键统一使用小写的 KeyboardEvent.key
+ */
+import { MIN_LANE_COUNT, MAX_LANE_COUNT } from './chartLoader';
+
+// 各轨道数量的默认键位，奇数轨道的中间轨道使用空格键
+const DEFAULT_LAYOUTS = {
+  3: ['f', ' ', 'j'],
+  4: ['d', 'f', 'j', 'k'],
+  5: ['d', 'f', ' ', 'j', 'k'],
+  6: ['s', 'd', 'f', 'j', 'k', 'l'],
+  7: ['s', 'd', 'f', ' ', 'j', 'k', 'l'],
+  8: ['a', 's', 'd', 'f', 'j', 'k', 'l', ';']
+};
+
+// 暂停键；绑定到轨道的按键优先作为轨道键使用
+export const PAUSE_KEYS = [' ', 'p'];
+
+// 退出键，由 App 处理，不能绑定到轨道
+export const EXIT_KEYS = ['Escape'];
+
+// 不能绑定到轨道的按键：修饰键会和其他按键组成快捷键，Tab 会移动焦点，F1-F12 是浏览器的功能键
+export const RESERVED_KEYS = [
+  'Shift', 'Control', 'Alt', 'AltGraph', 'Meta', 'OS', 'Tab', 'CapsLock', 'ContextMenu',
+  ...Array.from({ length: 12 }, (_, i) => `F${i + 1}`)
+];
+
+// 轨道颜色，前4种为原4轨道的颜色
+export const LANE_COLORS = [
+  '#ff6b6b',
+  '#4ecdc4',
+  '#ffe66d',
+  '#6a0572',
+  '#ff9f43',
+  '#54a0ff',
+  '#5f27cd',
+  '#1dd1a1'
+];
+
+/**
+ * 把轨道数量限制在支持的范围内
+ * @param {number} count - 轨道数量
+ * @returns {number} - 3-8 之间的整数，无效值返回4
+ */
+export function normalizeLaneCount(count) {
+  const value = Math.round(Number(count));
+  if (!Number.isFinite(value)) return 4;
+  return Math.max(MIN_LANE_COUNT, Math.min(MAX_LANE_COUNT, value));
+}
+
+/**
+ * 获取默认键位
+ * 除布局键外，数字键 1-8 依次对应各轨道
+ * @param {number} laneCount - 轨道数量
+ * @returns {string[][]} - 每条轨道绑定的按键
+ */
+export function getDefaultKeyBindings(laneCount) {
+  const count = normalizeLaneCount(laneCount);
+  return DEFAULT_LAYOUTS[count].map((key, lane) => [key, String(lane + 1)]);
+}
+
+/**
+ * 校验保存的键位，无效时使用默认键位
+ * @param {number} laneCount - 轨道数量
+ * @param {string[][]} saved - 保存的键位
+ * @returns {string[][]} - 每条轨道至少有一个按键的键位
+ */
+export function resolveKeyBindings(laneCount, saved) {
+  const count = normalizeLaneCount(laneCount);
+  const isValid = Array.isArray(saved) &&
+    saved.length === count &&
+    saved.every(keys => Array.isArray(keys) && keys.length > 0 &&
+      keys.every(key => typeof key === 'string' && key !== '' &&
+        !EXIT_KEYS.includes(key) && !RESERVED_KEYS.includes(key)));
+
+  return isValid
+    ? saved.map(keys => keys.map(normalizeKey))
+    : getDefaultKeyBindings(count);
+}
+
+/**
+ * 检查按键能否绑定到指定轨道
+ * @param {string} key - 按键
+ * @param {number} lane - 轨道索引
+ * @param {string[][]} bindings - 当前键位
+ * @returns {string|null} - 冲突说明，没有冲突时返回null
+ */
+export function getKeyConflict(key, lane, bindings) {
+  const normalized = normalizeKey(key);
+  if (EXIT_KEYS.includes(normalized)) {
+    return `${getKeyLabel(normalized)} 用于退出游戏，不能绑定到轨道`;
+  }
+  if (RESERVED_KEYS.includes(normalized)) {
+    return `${getKeyLabel(normalized)} 是修饰键或功能键，不能绑定到轨道`;
+  }
+
+  const boundLane = bindings.findIndex(keys => keys.includes(normalized));
+  if (boundLane === lane) {
+    return `${getKeyLabel(normalized)} 已绑定到该轨道`;
+  }
+  if (boundLane >= 0) {
+    return `${getKeyLabel(normalized)} 已绑定到轨道${boundLane + 1}`;
+  }
+
+  return null;
+}
+
+/**
+ * 未被轨道占用、仍可用于暂停的按键
+ * @param {string[][]} bindings - 当前键位
+ * @returns {string[]} - 可用的暂停键，为空时只能用暂停按钮暂停
+ */
+export function getAvailablePauseKeys(bindings) {
+  return PAUSE_KEYS.filter(key => !bindings.some(keys => keys.includes(key)));
+}
+
+/**
+ * 根据键位生成按键到轨道的映射
+ * @param {string[][]} bindings - 每条轨道绑定的按键
+ * @returns {Map<string, number>} - 按键到轨道索引的映射
+ */
+export function createKeyMap(bindings) {
+  const keyMap = new Map();
+  bindings.forEach((keys, lane) => {
+    keys.forEach(key => {
+      const normalized = normalizeKey(key);
+      // 同一按键绑定到多条轨道时以第一条为准
+      if (!keyMap.has(normalized)) keyMap.set(normalized, lane);
+    });
+  });
+  return keyMap;
+}
+
+/**
+ * 统一按键名称，字母键不区分大小写
+ * @param {string} key - KeyboardEvent.key
+ */
+export function normalizeKey(key) {
+  return String(key).length === 1 ? String(key).toLowerCase() : String(key);
+}
+
+/**
+ * 按键的显示名称
+ * @param {string} key - 按键
+ */
+export function getKeyLabel(key) {
+  if (key === ' ') return 'SPACE';
+  return String(key).length === 1 ? key.toUpperCase() : key;
+}
+
+/**
+ * 轨道颜色，超出颜色表时循环使用
+ * @param {number} lane - 轨道索引
+ */
+export function getLaneColor(lane) {
+  return LANE_COLORS[lane % LANE_COLORS.length];
+}
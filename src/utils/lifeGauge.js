@@ -0,0 +1,97 @@
+/**
+ * 体力槽
+ * 每次判定按体力槽类型增加或减少体力，体力降到0时游戏失败。
+ * 体力随判定变化，与帧率无关，回放可以重现完全相同的体力变化
+ */
+export const MAX_LIFE = 100;
+
+// 体力记录的最小间隔(ms)，同一间隔内的变化只保留最后的值
+const HISTORY_INTERVAL = 250;
+
+// 体力槽类型：每种判定的体力变化
+export const GAUGE_TYPES = [
+  {
+    id: 'easy',
+    name: '简单',
+    description: '错过扣得少，击中恢复得多',
+    changes: { perfect: 1, great: 1, good: 0.5, bad: -1.5, miss: -3 }
+  },
+  {
+    id: 'normal',
+    name: '普通',
+    description: '标准的体力槽',
+    changes: { perfect: 1, great: 0.8, good: 0.2, bad: -3, miss: -6 }
+  },
+  {
+    id: 'hard',
+    name: '生存',
+    description: '错过扣得多，几乎不会恢复',
+    changes: { perfect: 0.2, great: 0.1, good: -1, bad: -5, miss: -10 }
+  }
+];
+
+export const DEFAULT_GAUGE_TYPE = 'normal';
+
+/**
+ * 获取体力槽类型，未知的类型使用默认类型
+ * @param {string} id - 体力槽类型ID
+ */
+export function getGaugeType(id) {
+  return GAUGE_TYPES.find(type => type.id === id) ||
+    GAUGE_TYPES.find(type => type.id === DEFAULT_GAUGE_TYPE);
+}
+
+export class LifeGauge {
+  /**
+   * @param {string} type - 体力槽类型ID
+   */
+  constructor(type = DEFAULT_GAUGE_TYPE) {
+    this.type = getGaugeType(type);
+    this.life = MAX_LIFE;
+    this.failed = false;
+    this.failedAt = null;
+    this.history = [[0, MAX_LIFE]]; // [歌曲时间(ms), 体力]
+  }
+
+  /**
+   * 按判定改变体力
+   * @param {string} judgment - 判定结果
+   * @param {number} time - 判定发生的歌曲时间(ms)
+   * @returns {boolean} - 本次判定是否使体力耗尽
+   */
+  applyJudgment(judgment, time) {
+    const change = this.type.changes[judgment] || 0;
+    this.life = Math.max(0, Math.min(MAX_LIFE, this.life + change));
+    this.record(time);
+
+    if (this.life === 0 && !this.failed) {
+      this.failed = true;
+      this.failedAt = time;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 体力结果，用于成绩页的体力曲线
+   */
+  getResults() {
+    return {
+      type: this.type.id,
+      life: this.life,
+      failed: this.failed,
+      failedAt: this.failedAt,
+      history: this.history.map(point => [...point])
+    };
+  }
+
+  record(time) {
+    const last = this.history[this.history.length - 1];
+    // 第一个点是开局时的满体力，不合并
+    if (this.history.length === 1 || time - last[0] >= HISTORY_INTERVAL || this.life === 0) {
+      this.history.push([time, this.life]);
+    } else {
+      last[1] = this.life;
+    }
+  }
+}
@@ -0,0 +1,447 @@
+/**
+ * MIDI 转谱面
+ * 解析标准MIDI文件（SMF 格式0/1），选择一个音轨，把音高范围映射到轨道生成谱面。
+ * 长音转换为长按音符，并按每轨道最小间隔和和弦上限过滤，保证谱面可以游玩
+ */
+import { ChartImportError, MIN_LANE_COUNT, MAX_LANE_COUNT } from './chartLoader';
+import { hashString } from './random';
+
+// 默认转换参数
+export const DEFAULT_MIDI_OPTIONS = {
+  laneCount: 4,
+  minGap: 100,      // 同一轨道上相邻音符的最小间隔（毫秒）
+  maxChord: 2,      // 同一时刻最多的音符数
+  holdThreshold: 300 // 超过该长度（毫秒）的音符转换为长按音符
+};
+
+// 没有速度事件时的默认速度（120 BPM）
+const DEFAULT_TEMPO = 500000;
+
+// 同一时刻判定范围（秒），用于合并和弦
+const CHORD_TOLERANCE = 0.01;
+
+// 谱面结束后保留的时间（秒）
+const END_PADDING = 2;
+
+/**
+ * 解析标准MIDI文件
+ * @param {ArrayBuffer} buffer - 文件内容
+ * @param {string} source - 文件名，用于错误信息
+ * @returns {object} - { format, division, tempos, tracks }，
+ *   tracks 中每个音轨包含 name 和 notes（tick、endTick、pitch、velocity、channel）
+ * @throws {ChartImportError} - 文件无效或格式不支持时抛出
+ */
+export function parseMidiFile(buffer, source = '.mid') {
+  const reader = new MidiReader(buffer, source);
+
+  if (reader.readString(4) !== 'MThd') {
+    throw new ChartImportError('缺少 MThd 文件头，不是标准MIDI文件', source);
+  }
+  const headerLength = reader.readUint32();
+  const format = reader.readUint16();
+  const trackCount = reader.readUint16();
+  const division = reader.readUint16();
+  reader.skip(headerLength - 6);
+
+  if (format !== 0 && format !== 1) {
+    throw new ChartImportError(`不支持 SMF 格式${format}，仅支持格式0和格式1`, source);
+  }
+
+  const tempos = [];
+  const tracks = [];
+
+  for (let index = 0; index < trackCount; index++) {
+    if (reader.remaining() < 8) {
+      throw new ChartImportError(`文件头声明了 ${trackCount} 个音轨，实际只有 ${index} 个`, source);
+    }
+    const chunkType = reader.readString(4);
+    const length = reader.readUint32();
+    if (chunkType !== 'MTrk') {
+      // 未知的块按规范跳过
+      reader.skip(length);
+      index--;
+      continue;
+    }
+    tracks.push(parseTrack(reader.slice(length), index, tempos));
+  }
+
+  tempos.sort((a, b) => a.tick - b.tick);
+  return { format, division, tempos, tracks };
+}
+
+/**
+ * 解析一个 MTrk 块
+ */
+function parseTrack(reader, index, tempos) {
+  const track = { index, name: '', notes: [] };
+  const activeNotes = new Map(); // `${channel}:${pitch}` -> 按下顺序的音符
+  let tick = 0;
+  let runningStatus = null;
+
+  while (reader.remaining() > 0) {
+    tick += reader.readVarInt();
+    let status = reader.readUint8();
+
+    if (status < 0x80) {
+      // 沿用上一个状态字节（running status）
+      if (runningStatus === null) {
+        throw new ChartImportError(`音轨 ${index} 数据损坏：缺少状态字节`, reader.source);
+      }
+      reader.position--;
+      status = runningStatus;
+    }
+
+    if (status === 0xff) {
+      const type = reader.readUint8();
+      const length = reader.readVarInt();
+      const data = reader.slice(length);
+      if (type === 0x51 && length === 3) {
+        tempos.push({ tick, tempo: (data.readUint8() << 16) | (data.readUint8() << 8) | data.readUint8() });
+      } else if (type === 0x03 && !track.name) {
+        track.name = data.readText(length).trim();
+      } else if (type === 0x2f) {
+        break;
+      }
+      continue;
+    }
+
+    if (status === 0xf0 || status === 0xf7) {
+      reader.skip(reader.readVarInt());
+      continue;
+    }
+
+    runningStatus = status;
+    const command = status & 0xf0;
+    const channel = status & 0x0f;
+
+    switch (command) {
+      case 0x90:
+      case 0x80: {
+        const pitch = reader.readUint8();
+        const velocity = reader.readUint8();
+        const key = `${channel}:${pitch}`;
+
+        if (command === 0x90 && velocity > 0) {
+          const note = { tick, endTick: tick, pitch, velocity, channel };
+          track.notes.push(note);
+          const stack = activeNotes.get(key) || [];
+          stack.push(note);
+          activeNotes.set(key, stack);
+        } else {
+          // 力度为0的 note on 等同于 note off
+          const stack = activeNotes.get(key);
+          if (stack && stack.length > 0) {
+            stack.shift().endTick = tick;
+          }
+        }
+        break;
+      }
+      case 0xc0:
+      case 0xd0:
+        reader.skip(1);
+        break;
+      default:
+        reader.skip(2);
+        break;
+    }
+  }
+
+  // 没有收到 note off 的音符持续到音轨结束
+  activeNotes.forEach(stack => stack.forEach(note => { note.endTick = tick; }));
+  return track;
+}
+
+/**
+ * 获取可供选择的音轨信息
+ * @param {object} midi - parseMidiFile 的结果
+ * @returns {Array<{index: number, name: string, noteCount: number, lowestPitch: number, highestPitch: number}>}
+ */
+export function getMidiTrackSummaries(midi) {
+  return midi.tracks
+    .filter(track => track.notes.length > 0)
+    .map(track => {
+      const pitches = track.notes.map(note => note.pitch);
+      return {
+        index: track.index,
+        name: track.name || `音轨 ${track.index + 1}`,
+        noteCount: track.notes.length,
+        lowestPitch: Math.min(...pitches),
+        highestPitch: Math.max(...pitches)
+      };
+    });
+}
+
+/**
+ * 把MIDI转换为谱面
+ * @param {object} midi - parseMidiFile 的结果
+ * @param {object} options - 转换参数
+ * @param {number} options.trackIndex - 使用的音轨，默认使用音符最多的音轨
+ * @param {number} options.laneCount - 轨道数量
+ * @param {number} options.minGap - 同一轨道相邻音符的最小间隔（毫秒）
+ * @param {number} options.maxChord - 同一时刻最多的音符数
+ * @param {number} options.holdThreshold - 转为长按音符的最短长度（毫秒）
+ * @param {number} options.lowestPitch - 映射到第一条轨道的最低音，默认取音轨最低音
+ * @param {number} options.highestPitch - 映射到最后一条轨道的最高音，默认取音轨最高音
+ * @param {string} options.title - 歌曲标题
+ * @param {string} options.source - 文件名，用于错误信息
+ * @returns {{chart: object, warnings: string[]}} - 谱面数据（未校验）和警告列表
+ */
+export function convertMidiToChart(midi, options = {}) {
+  const source = options.source || '.mid';
+  const settings = { ...DEFAULT_MIDI_OPTIONS, ...options };
+  const warnings = [];
+
+  const summaries = getMidiTrackSummaries(midi);
+  if (summaries.length === 0) {
+    throw new ChartImportError('文件中没有音符', source);
+  }
+
+  const trackIndex = settings.trackIndex ?? summaries.reduce((best, track) =>
+    track.noteCount > best.noteCount ? track : best
+  ).index;
+  const summary = summaries.find(track => track.index === trackIndex);
+  if (!summary) {
+    throw new ChartImportError(`音轨 ${trackIndex} 不存在或没有音符`, source);
+  }
+
+  const laneCount = Math.round(settings.laneCount);
+  if (!(laneCount >= MIN_LANE_COUNT && laneCount <= MAX_LANE_COUNT)) {
+    throw new ChartImportError(`轨道数量必须在 ${MIN_LANE_COUNT}-${MAX_LANE_COUNT} 之间`, source);
+  }
+
+  const lowestPitch = settings.lowestPitch ?? summary.lowestPitch;
+  const highestPitch = Math.max(settings.highestPitch ?? summary.highestPitch, lowestPitch);
+  const toSeconds = createTickConverter(midi);
+
+  // 把音高范围平均分配到各轨道，超出范围的音符归入两端的轨道
+  const pitchSpan = highestPitch - lowestPitch + 1;
+  const toLane = pitch => Math.min(laneCount - 1, Math.max(0,
+    Math.floor(((pitch - lowestPitch) * laneCount) / pitchSpan)
+  ));
+
+  const track = midi.tracks.find(item => item.index === trackIndex);
+  const candidates = track.notes
+    .map(note => {
+      const time = toSeconds(note.tick);
+      const length = toSeconds(note.endTick) - time;
+      return {
+        time,
+        lane: toLane(note.pitch),
+        duration: length * 1000 >= settings.holdThreshold ? length : 0,
+        velocity: note.velocity,
+        pitch: note.pitch
+      };
+    })
+    .sort((a, b) => a.time - b.time || b.velocity - a.velocity || b.pitch - a.pitch);
+
+  const notes = filterPlayableNotes(candidates, laneCount, settings, warnings);
+  if (notes.length === 0) {
+    throw new ChartImportError('过滤后没有可用的音符，请调整转换参数', source);
+  }
+
+  const lastEnd = Math.max(...notes.map(note => note.time + (note.duration || 0)));
+  const firstTempo = midi.tempos[0]?.tempo ?? DEFAULT_TEMPO;
+  const title = settings.title || summary.name;
+
+  return {
+    chart: {
+      version: 1,
+      id: `midi_${hashString(`${title}|${trackIndex}|${laneCount}`).toString(16)}`,
+      metadata: {
+        title,
+        artist: 'MIDI',
+        description: `MIDI · ${summary.name} · ${laneCount}K`
+      },
+      audio: settings.audioUrl || '',
+      duration: Math.ceil(lastEnd + END_PADDING),
+      offset: 0,
+      bpm: roundTime(60000000 / firstTempo),
+      difficulties: {
+        [settings.difficulty || guessDifficulty(notes.length, lastEnd)]: { laneCount, notes }
+      }
+    },
+    warnings
+  };
+}
+
+/**
+ * 按和弦上限和每轨道最小间隔过滤音符
+ * 同一时刻的音符按力度和音高排序，优先保留重音和旋律高音
+ */
+function filterPlayableNotes(candidates, laneCount, settings, warnings) {
+  // 至少间隔2毫秒，避免时间取整后与前一个音符重叠
+  const minGap = Math.max(0.002, settings.minGap / 1000);
+  const maxChord = Math.max(1, Math.min(laneCount, Math.round(settings.maxChord)));
+  const laneEndTimes = new Array(laneCount).fill(-Infinity);
+  const dropped = { chord: 0, gap: 0, sameLane: 0 };
+  const result = [];
+
+  let index = 0;
+  while (index < candidates.length) {
+    // 收集同一时刻的音符
+    const chordTime = candidates[index].time;
+    const chord = [];
+    while (index < candidates.length && candidates[index].time - chordTime <= CHORD_TOLERANCE) {
+      chord.push(candidates[index++]);
+    }
+
+    const usedLanes = new Set();
+    chord.forEach(note => {
+      if (usedLanes.has(note.lane)) {
+        dropped.sameLane++;
+        return;
+      }
+      if (usedLanes.size >= maxChord) {
+        dropped.chord++;
+        return;
+      }
+      if (note.time - laneEndTimes[note.lane] < minGap) {
+        dropped.gap++;
+        return;
+      }
+
+      usedLanes.add(note.lane);
+      laneEndTimes[note.lane] = note.time + note.duration;
+
+      const converted = { time: roundTime(chordTime), lane: note.lane };
+      if (note.duration > 0) converted.duration = roundTime(note.duration);
+      result.push(converted);
+    });
+  }
+
+  if (dropped.sameLane > 0) warnings.push(`${dropped.sameLane} 个音符与同时刻的音符落在同一轨道，已合并`);
+  if (dropped.chord > 0) warnings.push(`${dropped.chord} 个音符超过和弦上限 ${maxChord}，已移除`);
+  if (dropped.gap > 0) warnings.push(`${dropped.gap} 个音符与同轨道前一个音符间隔小于 ${settings.minGap} 毫秒，已移除`);
+
+  return result.sort((a, b) => a.time - b.time || a.lane - b.lane);
+}
+
+/**
+ * 创建 tick 到秒的转换函数，考虑速度变化
+ */
+function createTickConverter(midi) {
+  // SMPTE 时间格式：高位为负的帧率，低位为每帧 tick 数
+  if (midi.division & 0x8000) {
+    const framesPerSecond = 256 - (midi.division >> 8);
+    const ticksPerSecond = framesPerSecond * (midi.division & 0xff);
+    return tick => tick / ticksPerSecond;
+  }
+
+  const ticksPerBeat = midi.division;
+  // 预先计算每个速度段起点的时间
+  const segments = [];
+  let time = 0;
+  let lastTick = 0;
+  let tempo = DEFAULT_TEMPO;
+
+  midi.tempos.forEach(change => {
+    time += ((change.tick - lastTick) * tempo) / ticksPerBeat / 1000000;
+    lastTick = change.tick;
+    tempo = change.tempo;
+    segments.push({ tick: change.tick, time, tempo });
+  });
+
+  return tick => {
+    let segment = { tick: 0, time: 0, tempo: DEFAULT_TEMPO };
+    for (const item of segments) {
+      if (item.tick > tick) break;
+      segment = item;
+    }
+    return segment.time + ((tick - segment.tick) * segment.tempo) / ticksPerBeat / 1000000;
+  };
+}
+
+/**
+ * 按音符密度推断放入的难度
+ */
+function guessDifficulty(noteCount, length) {
+  const density = noteCount / Math.max(length, 1);
+  if (density < 2) return 'easy';
+  if (density < 4) return 'normal';
+  if (density < 7) return 'hard';
+  return 'expert';
+}
+
+function roundTime(time) {
+  return Math.round(time * 1000) / 1000;
+}
+
+/**
+ * 大端字节读取器
+ */
+class MidiReader {
+  constructor(buffer, source, offset = 0, length = buffer.byteLength - offset) {
+    this.view = new DataView(buffer);
+    this.buffer = buffer;
+    this.source = source;
+    this.position = offset;
+    this.end = offset + length;
+  }
+
+  remaining() {
+    return this.end - this.position;
+  }
+
+  ensure(count) {
+    if (this.position + count > this.end) {
+      throw new ChartImportError('文件意外结束，MIDI数据不完整', this.source);
+    }
+  }
+
+  skip(count) {
+    this.ensure(count);
+    this.position += count;
+  }
+
+  slice(length) {
+    this.ensure(length);
+    const reader = new MidiReader(this.buffer, this.source, this.position, length);
+    this.position += length;
+    return reader;
+  }
+
+  readUint8() {
+    this.ensure(1);
+    return this.view.getUint8(this.position++);
+  }
+
+  readUint16() {
+    this.ensure(2);
+    const value = this.view.getUint16(this.position);
+    this.position += 2;
+    return value;
+  }
+
+  readUint32() {
+    this.ensure(4);
+    const value = this.view.getUint32(this.position);
+    this.position += 4;
+    return value;
+  }
+
+  readString(length) {
+    let text = '';
+    for (let i = 0; i < length; i++) {
+      text += String.fromCharCode(this.readUint8());
+    }
+    return text;
+  }
+
+  readText(length) {
+    this.ensure(length);
+    const bytes = new Uint8Array(this.buffer, this.position, length);
+    this.position += length;
+    return new TextDecoder().decode(bytes);
+  }
+
+  // 可变长度数值，每字节7位，最高位表示后面还有字节
+  readVarInt() {
+    let value = 0;
+    for (let i = 0; i < 4; i++) {
+      const byte = this.readUint8();
+      value = (value << 7) | (byte & 0x7f);
+      if (!(byte & 0x80)) return value;
+    }
+    throw new ChartImportError('可变长度数值超过4字节，MIDI数据损坏', this.source);
+  }
+}
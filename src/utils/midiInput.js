@@ -0,0 +1,246 @@
+/**
+ * MIDI 控制器输入
+ * 通过 Web MIDI API 接收鼓垫、键盘等设备的音符：note-on 为按下轨道，note-off 为松开轨道，
+ * 力度一起记录在事件中。MIDIAccess 可以从外部传入，便于用模拟对象测试
+ */
+import { normalizeLaneCount } from './keyBindings';
+import { InputSource, getEventTimestamp } from './inputSource';
+
+// MIDI 状态字节的高4位
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// 默认使用从中央C（60）开始的白键
+const DEFAULT_NOTES = [60, 62, 64, 65, 67, 69, 71, 72];
+
+/**
+ * 获取默认的 MIDI 音符绑定
+ * @param {number} laneCount - 轨道数量
+ * @returns {number[][]} - 每条轨道绑定的音符编号
+ */
+export function getDefaultMidiBindings(laneCount) {
+  return DEFAULT_NOTES.slice(0, normalizeLaneCount(laneCount)).map(note => [note]);
+}
+
+/**
+ * 校验保存的音符绑定，无效时使用默认绑定
+ * @param {number} laneCount - 轨道数量
+ * @param {number[][]} saved - 保存的音符绑定
+ * @returns {number[][]} - 每条轨道至少有一个音符的绑定
+ */
+export function resolveMidiBindings(laneCount, saved) {
+  const count = normalizeLaneCount(laneCount);
+  const isValid = Array.isArray(saved) &&
+    saved.length === count &&
+    saved.every(notes => Array.isArray(notes) && notes.length > 0 &&
+      notes.every(note => Number.isInteger(note) && note >= 0 && note <= 127));
+
+  return isValid ? saved.map(notes => [...notes]) : getDefaultMidiBindings(count);
+}
+
+/**
+ * 检查音符能否绑定到指定轨道
+ * @param {number} note - 音符编号
+ * @param {number} lane - 轨道索引
+ * @param {number[][]} bindings - 当前绑定
+ * @returns {string|null} - 冲突说明，没有冲突时返回null
+ */
+export function getMidiNoteConflict(note, lane, bindings) {
+  const boundLane = bindings.findIndex(notes => notes.includes(note));
+  if (boundLane === lane) {
+    return `${getMidiNoteLabel(note)} 已绑定到该轨道`;
+  }
+  if (boundLane >= 0) {
+    return `${getMidiNoteLabel(note)} 已绑定到轨道${boundLane + 1}`;
+  }
+  return null;
+}
+
+/**
+ * 音符的显示名称，如 60 为 "C4 (60)"
+ * @param {number} note - 音符编号
+ */
+export function getMidiNoteLabel(note) {
+  return `${NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1} (${note})`;
+}
+
+/**
+ * 解析一条 MIDI 消息
+ * 力度为0的 note-on 按惯例视为 note-off
+ * @param {Uint8Array|number[]} data - 消息字节
+ * @returns {{note: number, velocity: number, pressed: boolean, channel: number}|null} - 不是音符消息时返回null
+ */
+export function parseMidiMessage(data) {
+  if (!data || data.length < 3) return null;
+
+  const command = data[0] & 0xf0;
+  const channel = data[0] & 0x0f;
+  const note = data[1] & 0x7f;
+  const velocity = data[2] & 0x7f;
+
+  if (command === NOTE_ON && velocity > 0) {
+    return { note, velocity, pressed: true, channel };
+  }
+  if (command === NOTE_OFF || command === NOTE_ON) {
+    return { note, velocity, pressed: false, channel };
+  }
+  return null;
+}
+
+/**
+ * MIDI 输入源
+ * 监听所有 MIDI 输入设备，设备插拔后自动重新监听
+ */
+export class MidiInput extends InputSource {
+  /**
+   * @param {object} options - 配置参数
+   * @param {function} options.requestMIDIAccess - 获取 MIDIAccess，默认使用 navigator.requestMIDIAccess()
+   * @param {function} options.now - 系统时钟，默认使用performance.now()
+   */
+  constructor(options = {}) {
+    super('midi');
+    this.requestMIDIAccess = options.requestMIDIAccess ||
+      (() => navigator.requestMIDIAccess());
+    this.now = options.now || (() => performance.now());
+    this.access = null;
+    this.connectId = 0; // 每次连接或停止监听时递增，等待授权期间停止监听的连接被放弃
+    this.noteToLane = new Map();
+    this.noteListener = null; // 学习模式：接收所有音符消息
+    this.deviceListener = null; // 设备接入或断开时调用
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handleStateChange = this.handleStateChange.bind(this);
+  }
+
+  /**
+   * 浏览器是否支持 Web MIDI API
+   */
+  static isSupported() {
+    return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+  }
+
+  /**
+   * 请求 MIDI 权限并开始监听设备
+   * 等待授权期间调用了 detach() 时不再监听，得到的 MIDIAccess 被丢弃
+   * @returns {Promise<boolean>} - 是否开始监听；等待期间被取消时为false
+   * @throws 浏览器不支持或玩家拒绝授权时抛出
+   */
+  async connect() {
+    if (this.access) return true;
+    const id = ++this.connectId;
+
+    let access;
+    try {
+      access = await this.requestMIDIAccess();
+    } catch (error) {
+      if (id !== this.connectId) return false;
+      throw error;
+    }
+    if (id !== this.connectId) return false;
+
+    this.attach(access);
+    return true;
+  }
+
+  /**
+   * 使用已有的 MIDIAccess 开始监听设备
+   * @param {MIDIAccess} access - MIDIAccess 或具有相同接口的对象
+   */
+  attach(access) {
+    this.detach();
+    this.access = access;
+    access.onstatechange = this.handleStateChange;
+    this.listenToInputs();
+  }
+
+  /**
+   * 停止监听所有设备，并取消等待授权中的连接
+   */
+  detach() {
+    this.connectId++;
+    if (!this.access) return;
+    this.access.onstatechange = null;
+    this.getInputs().forEach(input => {
+      input.onmidimessage = null;
+    });
+    this.access = null;
+  }
+
+  /**
+   * 当前连接的输入设备
+   * @returns {MIDIInput[]}
+   */
+  getInputs() {
+    if (!this.access || !this.access.inputs) return [];
+    return Array.from(this.access.inputs.values()).filter(input => input.state !== 'disconnected');
+  }
+
+  /**
+   * 设置音符到轨道的绑定
+   * @param {number[][]} bindings - 每条轨道绑定的音符编号
+   */
+  setBindings(bindings) {
+    this.noteToLane = new Map();
+    bindings.forEach((notes, lane) => {
+      notes.forEach(note => {
+        if (!this.noteToLane.has(note)) this.noteToLane.set(note, lane);
+      });
+    });
+  }
+
+  /**
+   * 设置学习模式的监听者，收到的每个音符消息都会交给它
+   * @param {function|null} listener - 接收 { note, velocity, pressed, channel, inputName }
+   */
+  setNoteListener(listener) {
+    this.noteListener = listener;
+  }
+
+  /**
+   * 设置设备变化的监听者
+   * @param {function|null} listener - 设备接入或断开时调用
+   */
+  setDeviceListener(listener) {
+    this.deviceListener = listener;
+  }
+
+  listenToInputs() {
+    this.getInputs().forEach(input => {
+      input.onmidimessage = this.handleMessage;
+    });
+  }
+
+  handleStateChange() {
+    // 新设备接入时开始监听
+    this.listenToInputs();
+    if (this.deviceListener) this.deviceListener(this.getInputs());
+  }
+
+  /**
+   * 处理一条 MIDI 消息
+   * @param {MIDIMessageEvent} event - 包含 data 和 timeStamp
+   */
+  handleMessage(event) {
+    const message = parseMidiMessage(event.data);
+    if (!message) return;
+
+    const input = event.target || event.currentTarget || {};
+    if (this.noteListener) {
+      this.noteListener({ ...message, inputName: input.name || '' });
+    }
+
+    const lane = this.noteToLane.get(message.note);
+    if (lane === undefined) return;
+
+    this.emit({
+      type: message.pressed ? 'press' : 'release',
+      lane,
+      inputId: `midi:${input.id ?? ''}:${message.channel}:${message.note}`,
+      // MIDIMessageEvent.timeStamp 与 performance.now() 同一时基
+      timestamp: getEventTimestamp(event.timeStamp, this.now()),
+      // note-off 的力度表示松开速度，只记录按下的力度
+      velocity: message.pressed ? message.velocity / 127 : null
+    });
+  }
+}
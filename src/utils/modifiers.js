@@ -0,0 +1,238 @@
+/**
+ * 游戏模组
+ * - 轨道模组（镜像、随机、S-随机）在开始游戏前变换谱面的轨道
+ * - 视觉模组（隐藏、突现、渐入）在绘制音符时遮挡或淡化音符
+ * - 规则模组（不会失败、一命、完美）改变失败条件
+ * 每个模组声明分数倍率，启用的模组倍率相乘后交给分数计算器
+ */
+import { createRandom } from './random';
+
+export const MODIFIERS = [
+  {
+    id: 'mirror',
+    name: '镜像',
+    type: 'lane',
+    scoreMultiplier: 1,
+    description: '左右翻转所有轨道',
+    incompatible: ['random', 'srandom']
+  },
+  {
+    id: 'random',
+    name: '随机',
+    type: 'lane',
+    scoreMultiplier: 1,
+    description: '整首歌使用同一个随机的轨道排列',
+    incompatible: ['mirror', 'srandom']
+  },
+  {
+    id: 'srandom',
+    name: 'S-随机',
+    type: 'lane',
+    scoreMultiplier: 1,
+    description: '每个音符随机分配到空闲的轨道',
+    incompatible: ['mirror', 'random']
+  },
+  {
+    id: 'hidden',
+    name: '隐藏',
+    type: 'visual',
+    scoreMultiplier: 1.06,
+    description: '判定线上方的遮挡板挡住即将到达的音符',
+    incompatible: ['fadein']
+  },
+  {
+    id: 'sudden',
+    name: '突现',
+    type: 'visual',
+    scoreMultiplier: 1.06,
+    description: '轨道上方的遮挡板挡住刚出现的音符',
+    incompatible: ['fadein']
+  },
+  {
+    id: 'fadein',
+    name: '渐入',
+    type: 'visual',
+    scoreMultiplier: 1.06,
+    description: '音符下落到一半时才逐渐显现',
+    incompatible: ['hidden', 'sudden']
+  },
+  {
+    id: 'nofail',
+    name: '不会失败',
+    type: 'rule',
+    scoreMultiplier: 0.5,
+    description: '无论表现如何都不会失败',
+    incompatible: ['suddendeath', 'perfectonly']
+  },
+  {
+    id: 'suddendeath',
+    name: '一命',
+    type: 'rule',
+    scoreMultiplier: 1,
+    description: '出现 Miss 立即失败',
+    incompatible: ['nofail', 'perfectonly']
+  },
+  {
+    id: 'perfectonly',
+    name: '完美',
+    type: 'rule',
+    scoreMultiplier: 1,
+    description: '出现 Perfect 以外的判定立即失败',
+    incompatible: ['nofail', 'suddendeath']
+  }
+];
+
+export const MODIFIER_TYPES = [
+  { id: 'lane', name: '轨道' },
+  { id: 'visual', name: '视觉' },
+  { id: 'rule', name: '规则' }
+];
+
+// 遮挡和淡入的范围，以音符从屏幕顶部到判定线的进度(0-1)表示
+const SUDDEN_COVER_END = 0.35; // 突现：遮挡 0 - 0.35
+const HIDDEN_COVER_START = 0.6; // 隐藏：遮挡 0.6 - 判定线
+const FADE_IN_START = 0.25; // 渐入：从 0.25 开始显现
+const FADE_IN_END = 0.55; // 渐入：到 0.55 完全显示
+
+/**
+ * 获取模组定义
+ * @param {string} id - 模组ID
+ * @returns {object|null}
+ */
+export function getModifier(id) {
+  return MODIFIERS.find(mod => mod.id === id) || null;
+}
+
+/**
+ * 校验模组列表：去掉未知和重复的模组，互相冲突时保留靠前的
+ * @param {string[]} ids - 模组ID
+ * @returns {string[]} - 按定义顺序排列的模组ID
+ */
+export function normalizeModifiers(ids) {
+  const result = [];
+  (Array.isArray(ids) ? ids : []).forEach(id => {
+    const mod = getModifier(id);
+    if (!mod || result.includes(id)) return;
+    if (result.some(active => mod.incompatible.includes(active))) return;
+    result.push(id);
+  });
+  return MODIFIERS.map(mod => mod.id).filter(id => result.includes(id));
+}
+
+/**
+ * 切换一个模组，启用时关闭与它冲突的模组
+ * @param {string[]} ids - 当前启用的模组
+ * @param {string} id - 要切换的模组
+ * @returns {string[]} - 新的模组列表
+ */
+export function toggleModifier(ids, id) {
+  const mod = getModifier(id);
+  if (!mod) return normalizeModifiers(ids);
+  if (ids.includes(id)) {
+    return ids.filter(active => active !== id);
+  }
+  return normalizeModifiers([id, ...ids.filter(active => !mod.incompatible.includes(active))]);
+}
+
+/**
+ * 启用的模组的总分数倍率
+ * @param {string[]} ids - 模组ID
+ */
+export function getModifierScoreMultiplier(ids) {
+  return normalizeModifiers(ids).reduce((multiplier, id) => multiplier * getModifier(id).scoreMultiplier, 1);
+}
+
+/**
+ * 模组的简短显示，如 "镜像 + 隐藏"
+ * @param {string[]} ids - 模组ID
+ */
+export function formatModifiers(ids) {
+  const names = normalizeModifiers(ids).map(id => getModifier(id).name);
+  return names.length > 0 ? names.join(' + ') : '无';
+}
+
+/**
+ * 按轨道模组变换谱面
+ * @param {Array<{lane: number, time: number, duration: number}>} notes - 按时间排序的音符，不会被修改
+ * @param {number} laneCount - 轨道数量
+ * @param {string[]} ids - 启用的模组
+ * @param {number} seed - 随机模组使用的种子，相同种子得到相同的谱面
+ * @returns {Array} - 变换后的音符（副本）
+ */
+export function applyLaneModifiers(notes, laneCount, ids, seed) {
+  const mods = normalizeModifiers(ids);
+
+  if (mods.includes('mirror')) {
+    return notes.map(note => ({ ...note, lane: laneCount - 1 - note.lane }));
+  }
+
+  if (mods.includes('random')) {
+    const random = createRandom(seed);
+    const lanes = Array.from({ length: laneCount }, (_, lane) => lane);
+    for (let i = lanes.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [lanes[i], lanes[j]] = [lanes[j], lanes[i]];
+    }
+    return notes.map(note => ({ ...note, lane: lanes[note.lane] }));
+  }
+
+  if (mods.includes('srandom')) {
+    const random = createRandom(seed);
+    const busyUntil = new Array(laneCount).fill(-Infinity); // 每条轨道上长按音符结束的时间
+    const usedAt = new Array(laneCount).fill(null); // 每条轨道最近一个音符的时间，避免同时的音符重叠
+
+    return notes.map(note => {
+      const free = [];
+      for (let lane = 0; lane < laneCount; lane++) {
+        if (busyUntil[lane] < note.time && usedAt[lane] !== note.time) free.push(lane);
+      }
+      // 没有空闲轨道时保留原轨道
+      const lane = free.length > 0 ? free[Math.floor(random() * free.length)] : note.lane;
+      usedAt[lane] = note.time;
+      if (note.duration > 0) busyUntil[lane] = note.time + note.duration;
+      return { ...note, lane };
+    });
+  }
+
+  return notes.map(note => ({ ...note }));
+}
+
+/**
+ * 视觉模组的遮挡板
+ * @param {string[]} ids - 启用的模组
+ * @returns {Array<{from: number, to: number}>} - 遮挡的范围，以到判定线的进度(0-1)表示
+ */
+export function getLaneCovers(ids) {
+  const mods = normalizeModifiers(ids);
+  const covers = [];
+  if (mods.includes('sudden')) covers.push({ from: 0, to: SUDDEN_COVER_END });
+  if (mods.includes('hidden')) covers.push({ from: HIDDEN_COVER_START, to: 1 });
+  return covers;
+}
+
+/**
+ * 视觉模组下音符的不透明度
+ * @param {string[]} ids - 启用的模组
+ * @param {number} progress - 音符从屏幕顶部到判定线的进度(0-1)
+ * @returns {number} - 0-1
+ */
+export function getNoteOpacity(ids, progress) {
+  if (!ids.includes('fadein')) return 1;
+  return Math.max(0, Math.min(1, (progress - FADE_IN_START) / (FADE_IN_END - FADE_IN_START)));
+}
+
+/**
+ * 规则模组的失败条件
+ * @param {string[]} ids - 启用的模组
+ * @param {string} judgment - 判定结果
+ * @returns {string|null} - 失败原因，没有失败时返回null
+ */
+export function getModifierFailReason(ids, judgment) {
+  if (ids.includes('suddendeath') && judgment === 'miss') {
+    return '一命：出现 Miss';
+  }
+  if (ids.includes('perfectonly') && judgment !== 'perfect') {
+    return '完美：出现 Perfect 以外的判定';
+  }
+  return null;
+}
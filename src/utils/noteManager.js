@@ -1,4 +1,5 @@
 import gameDataManager from './gameDataManager';
+import { DEFAULT_JUDGMENT_WINDOWS, getJudgment } from './judgment';
 
 /**
  * 音符管理器
@@ -195,44 +196,34 @@ class NoteManager {
 
   /**
    * 检测是否有音符可以被击中
+   * 按输入时间与音符时间的偏差判定，与音符位置和速度无关
    * @param {number} lane - 轨道索引
-   * @param {number} hitY - 判定线Y坐标
-   * @param {number} hitWindow - 判定窗口大小
+   * @param {number} hitTime - 输入时间（秒，与音符的startTime一致）
+   * @param {object} windows - 判定窗口（毫秒）
    */
-  checkHit(lane, hitY, hitWindow = 50) {
+  checkHit(lane, hitTime, windows = DEFAULT_JUDGMENT_WINDOWS) {
     const validNotes = this.notes.filter(note => 
       !note.hit && note.lane === lane && 
-      Math.abs(note.y - hitY) < hitWindow
+      Math.abs(hitTime - note.startTime) * 1000 <= windows.bad
     );
     
     if (validNotes.length === 0) {
       return null;
     }
     
-    // 找到最接近判定线的音符
-    validNotes.sort((a, b) => Math.abs(a.y - hitY) - Math.abs(b.y - hitY));
+    // 找到时间偏差最小的音符
+    validNotes.sort((a, b) => Math.abs(hitTime - a.startTime) - Math.abs(hitTime - b.startTime));
     const targetNote = validNotes[0];
     targetNote.hit = true;
-    targetNote.hitTime = this.currentTime;
+    targetNote.hitTime = hitTime;
     
-    // 计算命中精度
-    const distance = Math.abs(targetNote.y - hitY);
-    let accuracy;
-    
-    if (distance < hitWindow * 0.2) {
-      accuracy = 'perfect';
-    } else if (distance < hitWindow * 0.4) {
-      accuracy = 'great';
-    } else if (distance < hitWindow * 0.6) {
-      accuracy = 'good';
-    } else {
-      accuracy = 'miss';
-    }
+    // 有符号的时间偏差（毫秒），负数表示提前
+    const offset = (hitTime - targetNote.startTime) * 1000;
     
     return {
       note: targetNote,
-      accuracy: accuracy,
-      distance: distance
+      accuracy: getJudgment(offset, windows),
+      offset: offset
     };
   }
 
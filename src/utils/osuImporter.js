@@ -0,0 +1,308 @@
+/**
+ * osu!mania 谱面导入
+ * 把 .osu 文件转换为本游戏的谱面格式（见 chartLoader.js），
+ * 不支持的内容不会被静默丢弃，而是收集到 warnings 中报告给玩家
+ */
+import { ChartImportError, MIN_LANE_COUNT, MAX_LANE_COUNT } from './chartLoader';
+import { hashString } from './random';
+
+// osu! 的游戏模式编号，3 为 mania
+const OSU_MODE_MANIA = 3;
+
+// HitObject 类型位
+const HIT_OBJECT_CIRCLE = 1;
+const HIT_OBJECT_SLIDER = 2;
+const HIT_OBJECT_SPINNER = 8;
+const HIT_OBJECT_HOLD = 128;
+
+// 谱面结束后保留的时间（秒）
+const END_PADDING = 2;
+
+/**
+ * 解析 .osu 文件并转换为谱面
+ * @param {string} text - .osu 文件内容
+ * @param {object} options - 导入选项
+ * @param {string} options.source - 文件名，用于错误信息
+ * @param {string} options.difficulty - 放入的难度，默认按音符密度推断
+ * @param {string} options.audioUrl - 音频地址，默认使用 AudioFilename
+ * @returns {{chart: object, warnings: string[]}} - 谱面数据（未校验）和警告列表
+ * @throws {ChartImportError} - 文件不是可游玩的 osu!mania 谱面时抛出
+ */
+export function importOsuBeatmap(text, options = {}) {
+  const source = options.source || '.osu';
+  const warnings = [];
+  const sections = parseSections(text, source);
+
+  const general = parseKeyValues(sections.General);
+  const metadata = parseKeyValues(sections.Metadata);
+  const difficultySettings = parseKeyValues(sections.Difficulty);
+
+  const mode = Number(general.Mode ?? 0);
+  if (mode !== OSU_MODE_MANIA) {
+    throw new ChartImportError(`只支持 osu!mania 谱面（Mode: 3），该文件的 Mode 为 ${mode}`, source);
+  }
+
+  const keyCount = Number(difficultySettings.CircleSize);
+  if (!Number.isInteger(keyCount) || keyCount < MIN_LANE_COUNT || keyCount > MAX_LANE_COUNT) {
+    throw new ChartImportError(`不支持 ${difficultySettings.CircleSize}K 谱面，键数必须在 ${MIN_LANE_COUNT}-${MAX_LANE_COUNT} 之间`, source);
+  }
+
+  const timing = parseTimingPoints(sections.TimingPoints || [], warnings);
+  if (timing.timingPoints.length === 0) {
+    throw new ChartImportError('[TimingPoints] 中没有BPM（非继承）时间点', source);
+  }
+
+  const notes = parseHitObjects(sections.HitObjects || [], keyCount, warnings);
+  if (notes.length === 0) {
+    throw new ChartImportError('[HitObjects] 中没有可用的音符', source);
+  }
+
+  reportIgnoredContent(sections, general, difficultySettings, warnings);
+
+  const lastEnd = Math.max(...notes.map(note => note.time + (note.duration || 0)));
+  const duration = Math.ceil(lastEnd + END_PADDING);
+  const difficulty = options.difficulty || guessDifficulty(notes.length, lastEnd);
+
+  const title = metadata.TitleUnicode || metadata.Title || '未命名';
+  const artist = metadata.ArtistUnicode || metadata.Artist || '未知艺术家';
+  const version = metadata.Version || '';
+  const beatmapId = Number(metadata.BeatmapID);
+  const id = beatmapId > 0
+    ? `osu_${beatmapId}`
+    : `osu_${hashString(`${title}|${artist}|${version}`).toString(16)}`;
+
+  const descriptionParts = [`osu!mania ${keyCount}K`];
+  if (version) descriptionParts.push(version);
+  if (metadata.Creator) descriptionParts.push(`谱师: ${metadata.Creator}`);
+
+  const chart = {
+    version: 1,
+    id,
+    metadata: {
+      title,
+      artist,
+      description: descriptionParts.join(' · ')
+    },
+    audio: options.audioUrl ?? general.AudioFilename ?? '',
+    duration,
+    offset: timing.offset,
+    leadIn: Math.max(0, Number(general.AudioLeadIn) || 0) / 1000,
+    timingPoints: timing.timingPoints,
+    difficulties: {
+      [difficulty]: { laneCount: keyCount, notes }
+    }
+  };
+
+  return { chart, warnings };
+}
+
+/**
+ * 按 [Section] 拆分文件内容
+ * @returns {object} - 节名到行数组的映射
+ */
+function parseSections(text, source) {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+  if (!/^osu file format v\d+/.test(lines[0]?.trim() || '')) {
+    throw new ChartImportError('缺少 "osu file format" 文件头，不是有效的 .osu 文件', source);
+  }
+
+  const sections = {};
+  let current = null;
+
+  lines.slice(1).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (line === '' || line.startsWith('//')) return;
+
+    const header = line.match(/^\[(.+)\]$/);
+    if (header) {
+      current = header[1];
+      sections[current] = sections[current] || [];
+    } else if (current) {
+      sections[current].push(line);
+    }
+  });
+
+  return sections;
+}
+
+/**
+ * 解析 "Key: Value" 形式的节
+ */
+function parseKeyValues(lines = []) {
+  const result = {};
+  lines.forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      result[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+  });
+  return result;
+}
+
+/**
+ * 解析 [TimingPoints]
+ * 格式: time,beatLength,meter,sampleSet,sampleIndex,volume,uninherited,effects
+ * 非继承时间点提供BPM；继承时间点（变速SV）不支持
+ */
+function parseTimingPoints(lines, warnings) {
+  const byTime = new Map();
+  let offset = null;
+  let inheritedCount = 0;
+  let invalidCount = 0;
+
+  lines.forEach(line => {
+    const fields = line.split(',');
+    const time = Number(fields[0]);
+    const beatLength = Number(fields[1]);
+    // 旧版本文件没有 uninherited 字段，此时 beatLength 为负数表示继承时间点
+    const uninherited = fields.length > 6 ? fields[6].trim() === '1' : beatLength > 0;
+
+    if (!Number.isFinite(time) || !Number.isFinite(beatLength)) {
+      invalidCount++;
+      return;
+    }
+    if (!uninherited) {
+      inheritedCount++;
+      return;
+    }
+    if (beatLength <= 0) {
+      invalidCount++;
+      return;
+    }
+
+    const seconds = time / 1000;
+    if (offset === null) offset = seconds;
+    // 负时间的时间点对齐到0；同一时间的多个时间点以最后一个为准
+    byTime.set(Math.max(0, seconds), roundBpm(60000 / beatLength));
+  });
+
+  if (inheritedCount > 0) {
+    warnings.push(`忽略了 ${inheritedCount} 个变速（SV）时间点，音符将以固定速度下落`);
+  }
+  if (invalidCount > 0) {
+    warnings.push(`忽略了 ${invalidCount} 个无法解析的时间点`);
+  }
+
+  const timingPoints = [...byTime.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([time, bpm]) => ({ time, bpm }));
+
+  return { offset: offset ?? 0, timingPoints };
+}
+
+/**
+ * 解析 [HitObjects]
+ * 格式: x,y,time,type,hitSound,objectParams,hitSample
+ * 长按音符(type 128)的 objectParams 为 endTime:hitSample
+ * @returns {Array} - 按时间排序的音符（秒）
+ */
+function parseHitObjects(lines, keyCount, warnings) {
+  const notes = [];
+  const unsupported = { slider: 0, spinner: 0, invalid: 0, overlap: 0 };
+  let hitSoundCount = 0;
+
+  lines.forEach(line => {
+    const fields = line.split(',');
+    const x = Number(fields[0]);
+    const time = Number(fields[2]);
+    const type = Number(fields[3]);
+
+    if (!Number.isFinite(x) || !Number.isFinite(time) || !Number.isInteger(type)) {
+      unsupported.invalid++;
+      return;
+    }
+    if (type & HIT_OBJECT_SLIDER) {
+      unsupported.slider++;
+      return;
+    }
+    if (type & HIT_OBJECT_SPINNER) {
+      unsupported.spinner++;
+      return;
+    }
+
+    const lane = Math.min(keyCount - 1, Math.max(0, Math.floor((x * keyCount) / 512)));
+    let duration = 0;
+
+    if (type & HIT_OBJECT_HOLD) {
+      const endTime = Number((fields[5] || '').split(':')[0]);
+      if (!Number.isFinite(endTime) || endTime < time) {
+        unsupported.invalid++;
+        return;
+      }
+      duration = (endTime - time) / 1000;
+    } else if (!(type & HIT_OBJECT_CIRCLE)) {
+      unsupported.invalid++;
+      return;
+    }
+
+    if (Number(fields[4]) > 0) hitSoundCount++;
+
+    notes.push({
+      time: roundTime(Math.max(0, time / 1000)),
+      lane,
+      duration: roundTime(duration)
+    });
+  });
+
+  notes.sort((a, b) => a.time - b.time || a.lane - b.lane);
+
+  // 同一轨道上重叠的音符无法游玩，保留先出现的音符
+  const laneEndTimes = new Array(keyCount).fill(-Infinity);
+  const playable = notes.filter(note => {
+    if (note.time <= laneEndTimes[note.lane]) {
+      unsupported.overlap++;
+      return false;
+    }
+    laneEndTimes[note.lane] = note.time + note.duration;
+    return true;
+  });
+
+  if (unsupported.slider > 0) warnings.push(`忽略了 ${unsupported.slider} 个滑条（mania 谱面中不应出现）`);
+  if (unsupported.spinner > 0) warnings.push(`忽略了 ${unsupported.spinner} 个转盘（mania 谱面中不应出现）`);
+  if (unsupported.invalid > 0) warnings.push(`忽略了 ${unsupported.invalid} 个无法解析的物件`);
+  if (unsupported.overlap > 0) warnings.push(`移除了 ${unsupported.overlap} 个与同轨道音符重叠的音符`);
+  if (hitSoundCount > 0) warnings.push(`${hitSoundCount} 个音符的自定义击打音效不支持，将使用默认音效`);
+
+  return playable.map(note => (note.duration > 0 ? note : { time: note.time, lane: note.lane }));
+}
+
+/**
+ * 报告谱面中其他不支持的设置
+ */
+function reportIgnoredContent(sections, general, difficultySettings, warnings) {
+  // 休息段（2 或 Break）不影响游玩，其余事件为背景图、视频和故事板
+  const events = (sections.Events || []).filter(line => !line.startsWith('2,') && !line.startsWith('Break,'));
+  if (events.length > 0) {
+    warnings.push('不支持背景图、视频和故事板（[Events]），已忽略');
+  }
+  if (difficultySettings.OverallDifficulty !== undefined) {
+    warnings.push(`OverallDifficulty ${difficultySettings.OverallDifficulty} 不影响判定，将使用游戏设置中的判定窗口`);
+  }
+  if (difficultySettings.HPDrainRate !== undefined) {
+    warnings.push(`HPDrainRate ${difficultySettings.HPDrainRate} 不支持，已忽略`);
+  }
+  if (general.SpecialStyle === '1') {
+    warnings.push('不支持 SpecialStyle（N+1 键位），按普通键位游玩');
+  }
+}
+
+/**
+ * 按音符密度推断放入的难度
+ * @param {number} noteCount - 音符数量
+ * @param {number} length - 谱面长度（秒）
+ */
+function guessDifficulty(noteCount, length) {
+  const density = noteCount / Math.max(length, 1);
+  if (density < 2) return 'easy';
+  if (density < 4) return 'normal';
+  if (density < 7) return 'hard';
+  return 'expert';
+}
+
+function roundTime(time) {
+  return Math.round(time * 1000) / 1000;
+}
+
+function roundBpm(bpm) {
+  return Math.round(bpm * 1000) / 1000;
+}
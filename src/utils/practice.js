@@ -0,0 +1,104 @@
+/**
+ * 练习模式
+ * 选择歌曲中的一段（开始/结束时间或按小节划分的段落）循环练习，并可以放慢播放速度。
+ * 放慢时歌曲时间按播放速度推进，音符随音乐一起变慢；判定窗口按播放速度缩放，
+ * 使玩家实际感受到的判定宽度与原速相同
+ */
+import { normalizeJudgmentWindows, JUDGMENT_TYPES } from './judgment';
+
+// 可选的播放速度
+export const PRACTICE_RATES = [0.5, 0.6, 0.7, 0.8, 0.9, 1];
+
+// 每个段落包含的小节数（按4/4拍计算）
+const SECTION_MEASURES = 8;
+const BEATS_PER_MEASURE = 4;
+
+// 没有BPM信息时每个段落的长度（秒）
+const DEFAULT_SECTION_LENGTH = 15;
+
+export const DEFAULT_PRACTICE_OPTIONS = {
+  start: 0,            // 开始时间（秒）
+  end: null,           // 结束时间（秒），null表示到歌曲结尾
+  rate: 0.8,           // 播放速度
+  autoPauseOnMiss: false // 错过音符时自动暂停
+};
+
+/**
+ * 按小节把歌曲划分为段落
+ * @param {object} song - 歌曲数据，使用 duration、bpm、offset
+ * @returns {Array<{index: number, start: number, end: number}>} - 段落的开始和结束时间（秒）
+ */
+export function getPracticeSections(song) {
+  const duration = song?.duration || 0;
+  const offset = Math.max(0, song?.offset || 0);
+  const length = song?.bpm > 0
+    ? SECTION_MEASURES * BEATS_PER_MEASURE * 60 / song.bpm
+    : DEFAULT_SECTION_LENGTH;
+
+  const sections = [];
+  // 第一个段落包含offset之前的前奏
+  for (let start = 0, next = offset + length; start < duration; start = next, next += length) {
+    sections.push({ index: sections.length, start, end: Math.min(next, duration) });
+  }
+  return sections;
+}
+
+/**
+ * 校验练习参数
+ * @param {object} options - 练习参数
+ * @param {number} duration - 歌曲时长（秒）
+ * @returns {object} - 开始时间不早于0、结束时间晚于开始时间、速度在可选范围内的参数
+ */
+export function normalizePracticeOptions(options = {}, duration = Infinity) {
+  const rate = Number(options.rate);
+  const start = Math.max(0, Math.min(Number(options.start) || 0, duration));
+  const end = Number.isFinite(Number(options.end)) && options.end !== null
+    ? Math.min(Number(options.end), duration)
+    : duration;
+
+  return {
+    start,
+    end: end > start ? end : duration,
+    rate: Number.isFinite(rate)
+      ? Math.max(PRACTICE_RATES[0], Math.min(PRACTICE_RATES[PRACTICE_RATES.length - 1], rate))
+      : DEFAULT_PRACTICE_OPTIONS.rate,
+    autoPauseOnMiss: !!options.autoPauseOnMiss
+  };
+}
+
+/**
+ * 取出练习段落中的音符
+ * @param {Array<{time: number}>} notes - 音符，time 为毫秒
+ * @param {object} options - 练习参数，开始和结束时间为秒
+ * @returns {Array} - 头部在段落内的音符
+ */
+export function getPracticeNotes(notes, options) {
+  const start = options.start * 1000;
+  const end = options.end * 1000;
+  return notes.filter(note => note.time >= start && note.time < end);
+}
+
+/**
+ * 按播放速度缩放判定窗口
+ * @param {object} windows - 原速的判定窗口(ms)
+ * @param {number} rate - 播放速度
+ * @returns {object} - 以歌曲时间计的判定窗口
+ */
+export function scaleJudgmentWindows(windows, rate) {
+  const normalized = normalizeJudgmentWindows(windows);
+  const scaled = {};
+  JUDGMENT_TYPES.forEach(type => {
+    scaled[type] = normalized[type] * rate;
+  });
+  return scaled;
+}
+
+/**
+ * 时间的显示格式 mm:ss
+ * @param {number} seconds - 秒
+ */
+export function formatPracticeTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.floor(seconds % 60);
+  return `${String(minutes).padStart(2, '0')}:${String(rest).padStart(2, '0')}`;
+}
@@ -0,0 +1,46 @@
+/**
+ * 可复现的伪随机数工具
+ * 相同的种子总是得到相同的随机序列，用于生成可复现的谱面
+ */
+
+/**
+ * 计算字符串的32位哈希值（FNV-1a）
+ * @param {string} text - 输入字符串
+ * @returns {number} - 无符号32位整数
+ */
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * 由多个部分（如歌曲ID、难度、种子）派生出一个种子
+ * @param {...(string|number)} parts - 参与派生的各部分
+ * @returns {number} - 无符号32位整数种子
+ */
+export function deriveSeed(...parts) {
+  return hashString(parts.join(':'));
+}
+
+/**
+ * 创建带种子的随机数生成器（Mulberry32）
+ * @param {number} seed - 随机种子
+ * @returns {function} - 与Math.random用法相同，返回[0, 1)之间的数
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
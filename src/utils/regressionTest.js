@@ -0,0 +1,603 @@
+/**
+ * 回归测试
+ * - 自动演奏：所有随游戏打包的谱面，每个难度、每种计分规则都必须全部为 Perfect、
+ *   准确率 100% 且得到理论最高分
+ * - 回放：按游戏循环模拟一局有偏差和漏按的游戏并记录回放，回放经过导出和导入后
+ *   重放的成绩必须与记录的完全相同
+ * - MIDI 输入：用模拟的 MIDIAccess 检查音符消息到轨道事件的转换和设备插拔
+ * - 谱面校验：无效的谱面给出带字段路径的错误，有效的谱面转换为歌曲数据
+ * - 谱面导入：用内嵌的 .osu、.sm 和 MIDI 文件检查模式、键数、长按音符和时间轴的转换
+ * 由 run-regression-test.js 在 Node 中运行（npm test）
+ */
+import noteManager from './noteManager';
+import { songs } from './songsData';
+import { SCORE_RULES } from './scoreRules';
+import { createAutoplayEvents, verifyAutoplay } from './autoplay';
+import { GameSession } from './gameSession';
+import { DEFAULT_JUDGMENT_WINDOWS } from './judgment';
+import { DEFAULT_GAUGE_TYPE } from './lifeGauge';
+import { createRandom, hashString } from './random';
+import { ReplayRecorder, getChartHash, serializeReplay, parseReplay, verifyReplay } from './replay';
+import { MidiInput } from './midiInput';
+import { parseChart, chartToSong } from './chartLoader';
+import { importOsuBeatmap } from './osuImporter';
+import { importStepManiaSimfile } from './stepmaniaImporter';
+import { parseMidiFile, convertMidiToChart } from './midiConverter';
+
+const FRAME_INTERVAL = 1000 / 60; // 模拟游戏循环的帧间隔(ms)
+const MISS_RATE = 0.1;            // 模拟游戏中漏按音符的比例
+const MAX_HIT_OFFSET = 120;       // 模拟击打偏差的上限(ms)
+const MAX_INPUT_DELAY = 40;       // 模拟输入事件送达游戏循环的延迟上限(ms)
+
+/**
+ * 谱面的判定音符，与游戏页面加载谱面的方式相同
+ * @param {object} song - 歌曲数据
+ * @param {string} difficulty - 难度级别
+ * @returns {Array<{lane: number, time: number, duration: number}>} - time 和 duration 为毫秒
+ */
+export function getChartNotes(song, difficulty) {
+  noteManager.setTrackCount(song.trackCounts?.[difficulty] || 4);
+  noteManager.generateNotesFromSong({ notes: song.notes[difficulty] || [] });
+
+  return noteManager.getNotes()
+    .map(noteData => ({
+      lane: noteData.lane,
+      time: noteData.startTime * 1000,
+      duration: noteData.holdDuration * 1000
+    }))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * 所有打包谱面的每个难度
+ * @returns {Array<{song: object, difficulty: string, notes: Array}>}
+ */
+export function getBundledCharts() {
+  const charts = [];
+  songs.forEach(song => {
+    Object.keys(song.notes || {}).forEach(difficulty => {
+      if (!song.notes[difficulty]) return;
+      charts.push({ song, difficulty, notes: getChartNotes(song, difficulty) });
+    });
+  });
+  return charts;
+}
+
+/**
+ * 自动演奏所有谱面，检查每种计分规则下的成绩
+ * @returns {{checks: number, failures: string[]}}
+ */
+export function testAutoplay() {
+  const failures = [];
+  let checks = 0;
+
+  getBundledCharts().forEach(({ song, difficulty, notes }) => {
+    SCORE_RULES.forEach(rules => {
+      checks++;
+      const result = verifyAutoplay(notes, { rules: rules.id });
+      if (!result.passed) {
+        failures.push(`${song.id} ${difficulty} ${rules.id}: ${result.errors.join('；')}`);
+      }
+    });
+  });
+
+  if (checks === 0) {
+    failures.push('没有找到可以测试的谱面');
+  }
+  return { checks, failures };
+}
+
+/**
+ * 模拟玩家的输入：在自动演奏的基础上加入随机的偏差和漏按，
+ * 每个事件带有送达游戏循环的时间，送达较晚的事件在会话时间超过事件时间后才被处理
+ * @param {Array} notes - 谱面音符
+ * @param {function} random - 随机数生成器
+ * @returns {Array} - 按送达时间排序的事件
+ */
+function createPlayerEvents(notes, random) {
+  const offsets = new Map();
+  const events = [];
+
+  createAutoplayEvents(notes).forEach(event => {
+    if (!offsets.has(event.inputId)) {
+      offsets.set(event.inputId, random() < MISS_RATE ? null : (random() * 2 - 1) * MAX_HIT_OFFSET);
+    }
+    const offset = offsets.get(event.inputId);
+    if (offset === null) return;
+
+    const time = Math.round(event.time + offset);
+    events.push({ ...event, time, source: 'keyboard', arrival: time + random() * MAX_INPUT_DELAY });
+  });
+
+  return events.sort((a, b) => a.arrival - b.arrival);
+}
+
+/**
+ * 按游戏页面的游戏循环模拟一局游戏并记录回放
+ * @param {Array} notes - 谱面音符
+ * @param {object} info - 回放信息
+ * @param {number} seed - 模拟输入的种子
+ * @returns {object} - 回放数据
+ */
+function recordReplay(notes, info, seed) {
+  const session = new GameSession({
+    judgmentWindows: info.judgmentWindows,
+    scoreMultiplier: info.scoreMultiplier,
+    rules: info.scoreRules,
+    gauge: info.gauge
+  });
+  session.setNotes(notes.map(note => ({ ...note })));
+  const recorder = new ReplayRecorder(info);
+  const events = createPlayerEvents(notes, createRandom(seed));
+
+  let index = 0;
+  for (let frame = 1; index < events.length || !session.isFinished(); frame++) {
+    const frameTime = frame * FRAME_INTERVAL;
+    while (index < events.length && events[index].arrival <= frameTime) {
+      const { arrival, ...event } = events[index++];
+      recorder.record(event, session.time);
+      session.processInput(event);
+    }
+    session.update(frameTime);
+  }
+
+  return recorder.finish(session.time, session.getResults());
+}
+
+/**
+ * 录制并重放所有谱面，检查每种计分规则下重放的成绩与记录相同
+ * @returns {{checks: number, failures: string[]}}
+ */
+export function testReplays() {
+  const failures = [];
+  let checks = 0;
+
+  getBundledCharts().forEach(({ song, difficulty, notes }) => {
+    SCORE_RULES.forEach(rules => {
+      checks++;
+      const name = `${song.id} ${difficulty} ${rules.id}`;
+      const recorded = recordReplay(notes, {
+        songId: song.id,
+        difficulty,
+        chartHash: getChartHash(notes),
+        scoreMultiplier: 1,
+        scoreRules: rules.id,
+        gauge: DEFAULT_GAUGE_TYPE,
+        judgmentWindows: { ...DEFAULT_JUDGMENT_WINDOWS }
+      }, hashString(name));
+
+      try {
+        const result = verifyReplay(notes, parseReplay(serializeReplay(recorded)));
+        if (!result.passed) {
+          failures.push(`${name}: ${result.errors.join('；')}`);
+        }
+      } catch (e) {
+        failures.push(`${name}: ${e.message}`);
+      }
+    });
+  });
+
+  if (checks === 0) {
+    failures.push('没有找到可以测试的谱面');
+  }
+  return { checks, failures };
+}
+
+/**
+ * 依次运行测试用例
+ * @param {Array<[string, function]>} cases - 用例名称和测试函数，测试函数返回（或抛出）失败说明，通过时返回null
+ * @returns {Promise<{checks: number, failures: string[]}>}
+ */
+async function runCases(cases) {
+  const failures = [];
+  for (const [name, test] of cases) {
+    try {
+      const failure = await test();
+      if (failure) failures.push(`${name}: ${failure}`);
+    } catch (e) {
+      failures.push(`${name}: ${e.message}`);
+    }
+  }
+  return { checks: cases.length, failures };
+}
+
+/**
+ * 比较实际值与期望值（按JSON比较）
+ * @returns {string|null} - 不同时返回失败说明
+ */
+function expectEqual(label, actual, expected) {
+  const actualText = JSON.stringify(actual);
+  const expectedText = JSON.stringify(expected);
+  return actualText === expectedText ? null : `${label} 为 ${actualText}，应为 ${expectedText}`;
+}
+
+/**
+ * 模拟的 MIDI 输入设备
+ */
+function createFakeMidiPort(id) {
+  const port = { id, name: `Fake ${id}`, state: 'connected', onmidimessage: null };
+  // 设备发出一条消息，timeStamp 与 performance.now() 同一时基
+  port.send = (data, timeStamp) => port.onmidimessage?.({ data, timeStamp, target: port });
+  return port;
+}
+
+/**
+ * 创建连接到模拟 MIDIAccess 的 MIDI 输入源
+ * @returns {{midi: MidiInput, access: object, port: object, events: Array}}
+ */
+function createFakeMidiSetup() {
+  const port = createFakeMidiPort('pad');
+  const access = { inputs: new Map([[port.id, port]]), onstatechange: null };
+  const midi = new MidiInput({ now: () => 1000 });
+  const events = [];
+  midi.setBindings([[60], [62], [64], [65]]);
+  midi.start(event => events.push(event));
+  midi.attach(access);
+  return { midi, access, port, events };
+}
+
+/**
+ * MIDI 输入：音符消息到轨道事件的转换、设备插拔和等待授权期间的取消
+ * @returns {Promise<{checks: number, failures: string[]}>}
+ */
+export function testMidiInput() {
+  return runCases([
+    ['note-on 为按下，力度换算为 0-1', () => {
+      const { port, events } = createFakeMidiSetup();
+      port.send([0x90, 60, 64], 990);
+      return expectEqual('事件', events, [
+        { velocity: 64 / 127, source: 'midi', type: 'press', lane: 0, inputId: 'midi:pad:0:60', timestamp: 990 }
+      ]);
+    }],
+    ['note-off 为松开', () => {
+      const { port, events } = createFakeMidiSetup();
+      port.send([0x91, 62, 100], 990);
+      port.send([0x81, 62, 40], 995);
+      return expectEqual('事件', events.map(({ type, lane, inputId, velocity }) => ({ type, lane, inputId, velocity })), [
+        { type: 'press', lane: 1, inputId: 'midi:pad:1:62', velocity: 100 / 127 },
+        { type: 'release', lane: 1, inputId: 'midi:pad:1:62', velocity: null }
+      ]);
+    }],
+    ['力度为0的 note-on 为松开', () => {
+      const { port, events } = createFakeMidiSetup();
+      port.send([0x90, 64, 0], 990);
+      return expectEqual('事件', events.map(({ type, lane }) => ({ type, lane })), [{ type: 'release', lane: 2 }]);
+    }],
+    ['没有绑定的音符和非音符消息被忽略', () => {
+      const { port, events } = createFakeMidiSetup();
+      port.send([0x90, 70, 100], 990);
+      port.send([0xb0, 60, 100], 990);
+      return expectEqual('事件数', events.length, 0);
+    }],
+    ['新接入的设备被监听', () => {
+      const { midi, access, events } = createFakeMidiSetup();
+      const devices = [];
+      midi.setDeviceListener(inputs => devices.push(inputs.map(input => input.id)));
+
+      const newPort = createFakeMidiPort('keys');
+      access.inputs.set(newPort.id, newPort);
+      access.onstatechange({ port: newPort });
+      if (typeof newPort.onmidimessage !== 'function') return '新设备没有设置 onmidimessage';
+
+      newPort.send([0x90, 65, 127], 990);
+      return expectEqual('设备列表', devices, [['pad', 'keys']]) ||
+        expectEqual('事件', events.map(({ lane, inputId }) => ({ lane, inputId })), [{ lane: 3, inputId: 'midi:keys:0:65' }]);
+    }],
+    ['detach 后不再监听', () => {
+      const { midi, access, port } = createFakeMidiSetup();
+      midi.detach();
+      return expectEqual('onstatechange', access.onstatechange, null) ||
+        expectEqual('onmidimessage', port.onmidimessage, null);
+    }],
+    ['等待授权期间 detach 时放弃连接', async () => {
+      const port = createFakeMidiPort('pad');
+      const access = { inputs: new Map([[port.id, port]]), onstatechange: null };
+      let grant;
+      const midi = new MidiInput({ requestMIDIAccess: () => new Promise(resolve => { grant = resolve; }) });
+
+      const connecting = midi.connect();
+      midi.detach();
+      grant(access);
+      const connected = await connecting;
+      return expectEqual('connect() 的结果', connected, false) ||
+        expectEqual('onstatechange', access.onstatechange, null) ||
+        expectEqual('onmidimessage', port.onmidimessage, null);
+    }]
+  ]);
+}
+
+/**
+ * 有效的谱面，校验用例在它的副本上制造错误
+ */
+function createValidChart() {
+  return {
+    version: 1,
+    id: 'regression_chart',
+    metadata: { title: '回归测试', artist: '测试' },
+    duration: 10,
+    bpm: 120,
+    difficulties: {
+      normal: {
+        laneCount: 4,
+        notes: [
+          { time: 1, lane: 0 },
+          { time: 2, lane: 1, duration: 1 },
+          { time: 3, lane: 2 }
+        ]
+      }
+    }
+  };
+}
+
+/**
+ * 校验一个无效的谱面，错误中必须有以指定路径和说明开头的一项
+ * @param {function} breakChart - 修改谱面副本制造错误
+ * @param {string} expected - 错误的开头
+ */
+function expectChartError(breakChart, expected) {
+  const chart = createValidChart();
+  breakChart(chart);
+  try {
+    parseChart(JSON.stringify(chart), 'regression.json');
+  } catch (e) {
+    if (!e.errors) throw e;
+    return e.errors.some(error => error.startsWith(expected))
+      ? null
+      : `错误中没有 "${expected}"，实际为 ${JSON.stringify(e.errors)}`;
+  }
+  return '无效的谱面通过了校验';
+}
+
+/**
+ * 谱面校验：每种错误都报告出错字段的路径，有效的谱面补全默认值后转换为歌曲数据
+ * @returns {Promise<{checks: number, failures: string[]}>}
+ */
+export function testChartValidation() {
+  const notesOf = chart => chart.difficulties.normal.notes;
+
+  return runCases([
+    ['缺少必需字段', () => expectChartError(chart => { delete chart.id; }, 'id: 必须是非空字符串')],
+    ['缺少必需的元数据', () => expectChartError(chart => { delete chart.metadata.title; }, 'metadata.title: 必须是非空字符串')],
+    ['未知字段', () => expectChartError(chart => { chart.speed = 2; }, 'speed: 未知字段')],
+    ['音符的未知字段', () => expectChartError(chart => { notesOf(chart)[0].type = 'tap'; },
+      'difficulties.normal.notes[0].type: 未知字段')],
+    ['音符没有按时间排序', () => expectChartError(chart => { notesOf(chart)[2].time = 0.5; },
+      'difficulties.normal.notes[2].time: 音符必须按时间排序')],
+    ['轨道超出范围', () => expectChartError(chart => { notesOf(chart)[0].lane = 4; },
+      'difficulties.normal.notes[0].lane: 轨道 4 超出范围')],
+    ['长按音符重叠', () => expectChartError(chart => { notesOf(chart).push({ time: 2.5, lane: 1 }); notesOf(chart).sort((a, b) => a.time - b.time); },
+      'difficulties.normal.notes[2]: 与轨道 1 上的前一个音符重叠')],
+    ['长按时长为负数', () => expectChartError(chart => { notesOf(chart)[1].duration = -1; },
+      'difficulties.normal.notes[1].duration: 长按时长必须是非负数')],
+    ['长按超出歌曲时长', () => expectChartError(chart => { notesOf(chart)[1].duration = 9; },
+      'difficulties.normal.notes[1]: 音符结束于 11 秒，超出歌曲时长 10 秒')],
+    ['有效的谱面转换为歌曲数据', () => {
+      const song = chartToSong(parseChart(JSON.stringify(createValidChart()), 'regression.json'));
+      return expectEqual('音符', song.notes.normal, [
+        { id: 'note_normal_0', time: 1, lane: 0, duration: 0 },
+        { id: 'note_normal_1', time: 2, lane: 1, duration: 1 },
+        { id: 'note_normal_2', time: 3, lane: 2, duration: 0 }
+      ]) ||
+        expectEqual('难度', song.difficulty, { easy: false, normal: true, hard: false, expert: false }) ||
+        expectEqual('轨道数', song.trackCounts.normal, 4) ||
+        expectEqual('变速点', song.timingPoints, [{ time: 0, bpm: 120 }]) ||
+        expectEqual('offset 和 leadIn', [song.offset, song.leadIn], [0, 0]);
+    }]
+  ]);
+}
+
+// osu!mania 4K 谱面：120 BPM 起于 0.5 秒，1.5 秒处为变速（SV）时间点，2.5 秒起 240 BPM
+const OSU_FIXTURE = `osu file format v14
+
+[General]
+AudioFilename: audio.mp3
+Mode: 3
+
+[Metadata]
+Title:Regression
+Artist:Tester
+Version:4K Test
+BeatmapID:0
+
+[Difficulty]
+CircleSize:4
+
+[TimingPoints]
+500,500,4,2,0,100,1,0
+1500,-50,4,2,0,100,0,0
+2500,250,4,2,0,100,1,0
+
+[HitObjects]
+64,192,1000,1,0,0:0:0:0:
+448,192,1250,1,0,0:0:0:0:
+192,192,2000,128,0,2750:0:0:0:0:
+`;
+
+/**
+ * 谱面导入：osu!mania
+ * @returns {Promise<{checks: number, failures: string[]}>}
+ */
+export function testOsuImport() {
+  const importFixture = (text = OSU_FIXTURE) => importOsuBeatmap(text, { source: 'regression.osu', difficulty: 'normal' });
+
+  return runCases([
+    ['不是 mania 模式的谱面被拒绝', () => {
+      try {
+        importFixture(OSU_FIXTURE.replace('Mode: 3', 'Mode: 0'));
+      } catch (e) {
+        return e.name === 'ChartImportError' && e.message.includes('只支持 osu!mania')
+          ? null
+          : `错误为 ${e.message}`;
+      }
+      return 'Mode 0 的谱面没有被拒绝';
+    }],
+    ['CircleSize 决定键数', () => {
+      const fourKey = importFixture().chart.difficulties.normal;
+      const sevenKey = importFixture(OSU_FIXTURE.replace('CircleSize:4', 'CircleSize:7')).chart.difficulties.normal;
+      return expectEqual('4K 的轨道数', fourKey.laneCount, 4) ||
+        expectEqual('7K 的轨道数', sevenKey.laneCount, 7) ||
+        expectEqual('7K 的轨道', sevenKey.notes.map(note => note.lane), [0, 6, 2]);
+    }],
+    ['type 128 转换为长按音符', () => {
+      const { chart } = importFixture();
+      parseChart(chart, 'regression.osu');
+      return expectEqual('音符', chart.difficulties.normal.notes, [
+        { time: 1, lane: 0 },
+        { time: 1.25, lane: 3 },
+        { time: 2, lane: 1, duration: 0.75 }
+      ]);
+    }],
+    ['变速时间点给出警告且不作为BPM变化', () => {
+      const { chart, warnings } = importFixture();
+      return expectEqual('变速点', chart.timingPoints, [{ time: 0.5, bpm: 120 }, { time: 2.5, bpm: 240 }]) ||
+        expectEqual('offset', chart.offset, 0.5) ||
+        (warnings.some(warning => warning.includes('变速（SV）')) ? null : `警告中没有变速时间点，实际为 ${JSON.stringify(warnings)}`);
+    }]
+  ]);
+}
+
+// StepMania 谱面：第0拍在 0.1 秒，第2拍后停顿 0.5 秒，第4拍起从 120 BPM 变为 240 BPM；
+// Single 第二小节为 2…3 长按和 4…3 连打
+const SM_FIXTURE = `#TITLE:Regression;
+#ARTIST:Tester;
+#MUSIC:audio.ogg;
+#OFFSET:-0.100;
+#BPMS:0.000=120.000,4.000=240.000;
+#STOPS:2.000=0.500;
+#NOTES:
+     dance-single:
+     :
+     Medium:
+     5:
+     0,0,0,0,0:
+1000
+0000
+0100
+0010
+,
+2000
+0004
+3000
+0003
+;
+#NOTES:
+     dance-double:
+     :
+     Hard:
+     8:
+     0,0,0,0,0:
+10000000
+00000000
+00000001
+00001000
+;
+`;
+
+/**
+ * 谱面导入：StepMania
+ * @returns {Promise<{checks: number, failures: string[]}>}
+ */
+export function testStepManiaImport() {
+  const importFixture = () => importStepManiaSimfile(SM_FIXTURE, { source: 'regression.sm' });
+  const isDouble = chart => chart.id.endsWith('_double');
+  const getSingle = () => importFixture().charts.find(chart => !isDouble(chart));
+
+  return runCases([
+    ['OFFSET、BPM变化和停顿决定音符时间', () => {
+      const single = getSingle();
+      parseChart(single, 'regression.sm');
+      return expectEqual('音符', single.difficulties.normal.notes, [
+        { time: 0.1, lane: 0 },
+        { time: 1.1, lane: 1 },
+        { time: 2.1, lane: 2 },
+        { time: 2.6, lane: 0, duration: 0.5 },
+        { time: 2.85, lane: 3, duration: 0.5 }
+      ]);
+    }],
+    ['offset 为第0拍的时间', () => {
+      const single = getSingle();
+      return expectEqual('offset', single.offset, 0.1) ||
+        expectEqual('变速点', single.timingPoints, [{ time: 0.1, bpm: 120 }, { time: 2.6, bpm: 240 }]);
+    }],
+    ['dance-single 和 dance-double 的轨道数', () => {
+      const { charts } = importFixture();
+      const double = charts.find(isDouble);
+      if (!double) return '没有导入 dance-double 谱面';
+      parseChart(double, 'regression.sm');
+      return expectEqual('谱面数', charts.length, 2) ||
+        expectEqual('Single 的轨道数', charts.find(chart => !isDouble(chart)).difficulties.normal.laneCount, 4) ||
+        expectEqual('Double 的轨道数', double.difficulties.hard.laneCount, 8) ||
+        expectEqual('Double 的轨道', double.difficulties.hard.notes.map(note => note.lane), [0, 7, 4]);
+    }],
+    ['连打按长按音符处理并给出警告', () => {
+      const { warnings } = importFixture();
+      return warnings.some(warning => warning.includes('1 个连打（roll）按长按音符处理'))
+        ? null
+        : `警告中没有连打，实际为 ${JSON.stringify(warnings)}`;
+    }]
+  ]);
+}
+
+// 标准MIDI文件（格式0，每拍480 tick）：120 BPM 下 C4、E4 各半拍，第2拍起变为 240 BPM，
+// 之后 G4 两拍、C5 一拍；音符之间使用 running status，松开为力度0的 note on
+const MIDI_FIXTURE = [
+  0x4d, 0x54, 0x68, 0x64, 0x00, 0x00, 0x00, 0x06, 0x00, 0x00, 0x00, 0x01, 0x01, 0xe0, // MThd
+  0x4d, 0x54, 0x72, 0x6b, 0x00, 0x00, 0x00, 0x30, // MTrk，48 字节
+  0x00, 0xff, 0x51, 0x03, 0x07, 0xa1, 0x20, // tick 0: 500000 微秒/拍（120 BPM）
+  0x00, 0x90, 0x3c, 0x64, // tick 0: C4 按下
+  0x83, 0x60, 0x3c, 0x00, // tick 480: C4 松开（running status）
+  0x00, 0x40, 0x64, // tick 480: E4 按下
+  0x83, 0x60, 0x40, 0x00, // tick 960: E4 松开
+  0x00, 0xff, 0x51, 0x03, 0x03, 0xd0, 0x90, // tick 960: 250000 微秒/拍（240 BPM）
+  0x00, 0x90, 0x43, 0x64, // tick 960: G4 按下
+  0x87, 0x40, 0x43, 0x00, // tick 1920: G4 松开
+  0x00, 0x48, 0x64, // tick 1920: C5 按下
+  0x83, 0x60, 0x48, 0x00, // tick 2400: C5 松开
+  0x00, 0xff, 0x2f, 0x00 // 音轨结束
+];
+
+/**
+ * 谱面导入：MIDI
+ * @returns {Promise<{checks: number, failures: string[]}>}
+ */
+export function testMidiImport() {
+  const parseFixture = () => parseMidiFile(new Uint8Array(MIDI_FIXTURE).buffer, 'regression.mid');
+
+  return runCases([
+    ['running status 和速度事件', () => {
+      const midi = parseFixture();
+      return expectEqual('速度', midi.tempos, [{ tick: 0, tempo: 500000 }, { tick: 960, tempo: 250000 }]) ||
+        expectEqual('音符', midi.tracks[0].notes.map(({ tick, endTick, pitch }) => [tick, endTick, pitch]),
+          [[0, 480, 60], [480, 960, 64], [960, 1920, 67], [1920, 2400, 72]]);
+    }],
+    ['速度变化后的音符时间和音高到轨道的映射', () => {
+      const { chart } = convertMidiToChart(parseFixture(), { source: 'regression.mid', laneCount: 4, difficulty: 'normal' });
+      parseChart(chart, 'regression.mid');
+      // 长于 holdThreshold（300ms）的音符为长按音符
+      return expectEqual('音符', chart.difficulties.normal.notes, [
+        { time: 0, lane: 0, duration: 0.5 },
+        { time: 0.5, lane: 1, duration: 0.5 },
+        { time: 1, lane: 2, duration: 0.5 },
+        { time: 1.5, lane: 3 }
+      ]) || expectEqual('BPM', chart.bpm, 120);
+    }]
+  ]);
+}
+
+/**
+ * 运行全部回归测试
+ * @returns {Promise<{passed: boolean, results: object}>} - 每项测试的检查数和失败说明
+ */
+export async function runRegressionTests() {
+  const results = {
+    autoplay: testAutoplay(),
+    replay: testReplays(),
+    midiInput: await testMidiInput(),
+    chartValidation: await testChartValidation(),
+    osuImport: await testOsuImport(),
+    stepManiaImport: await testStepManiaImport(),
+    midiImport: await testMidiImport()
+  };
+  const passed = Object.values(results).every(result => result.failures.length === 0);
+  return { passed, results };
+}
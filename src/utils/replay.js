@@ -0,0 +1,247 @@
+/**
+ * 回放
+ * 记录一局游戏交给判定会话的全部输入事件（轨道、按下/松开、歌曲时间、力度），
+ * 以及谱面ID和哈希、种子、模组、判定窗口和设置。
+ * 把同样的事件按同样的顺序交给新的判定会话即可得到完全相同的判定和分数，
+ * 回放既可以在游戏界面中观看，也可以在没有界面的情况下校验成绩
+ */
+import { GameSession } from './gameSession';
+import { hashString } from './random';
+
+export const REPLAY_VERSION = 1;
+
+// 事件类型在回放文件中的编码
+const PRESS = 1;
+const RELEASE = 0;
+
+/**
+ * 计算谱面哈希，谱面的任何音符改变后哈希都会不同
+ * @param {Array<{lane: number, time: number, duration: number}>} notes - 判定使用的音符，time 为毫秒
+ * @returns {string} - 8位十六进制字符串
+ */
+export function getChartHash(notes) {
+  const text = [...notes]
+    .sort((a, b) => a.time - b.time || a.lane - b.lane)
+    .map(note => `${note.lane}:${note.time}:${note.duration || 0}`)
+    .join('|');
+  return hashString(text).toString(16).padStart(8, '0');
+}
+
+/**
+ * 回放记录器
+ * 每个输入事件在交给判定会话之前记录；输入ID只保存一次，事件中使用其序号
+ */
+export class ReplayRecorder {
+  /**
+   * @param {object} info - 回放信息：songId, difficulty, chartHash, seed, mods, modSeed, scoreMultiplier, scoreRules, gauge, judgmentWindows, settings
+   */
+  constructor(info) {
+    this.info = info;
+    this.inputs = [];
+    this.inputIndex = new Map();
+    this.events = [];
+  }
+
+  /**
+   * 记录一个输入事件
+   * @param {object} event - { type, lane, inputId, time, velocity }
+   * @param {number} sessionTime - 判定会话当前已推进到的时间。
+   *   事件晚于下一帧才被处理时会话时间已超过事件时间，回放时需要先推进到同样的时间
+   */
+  record(event, sessionTime) {
+    if (event.type !== 'press' && event.type !== 'release') return;
+
+    let input = this.inputIndex.get(event.inputId);
+    if (input === undefined) {
+      input = this.inputs.length;
+      this.inputs.push(event.inputId);
+      this.inputIndex.set(event.inputId, input);
+    }
+
+    // [歌曲时间, 输入序号, 类型, 轨道, 力度, 会话时间]
+    const entry = [
+      event.time,
+      input,
+      event.type === 'press' ? PRESS : RELEASE,
+      event.lane ?? -1,
+      event.velocity ?? null
+    ];
+    if (sessionTime > event.time) entry.push(sessionTime);
+    this.events.push(entry);
+  }
+
+  /**
+   * 结束记录，生成回放
+   * @param {number} endTime - 游戏结束时的歌曲时间(ms)
+   * @param {object} results - 判定会话的成绩
+   * @returns {object} - 回放数据
+   */
+  finish(endTime, results) {
+    return {
+      version: REPLAY_VERSION,
+      ...this.info,
+      inputs: this.inputs,
+      events: this.events,
+      endTime,
+      result: {
+        score: results.score,
+        maxCombo: results.maxCombo,
+        accuracy: results.accuracy,
+        judgments: { ...results.judgments }
+      },
+      recordedAt: new Date().toISOString()
+    };
+  }
+}
+
+/**
+ * 把回放中的事件还原为判定会话的输入事件
+ * @param {object} replay - 回放数据
+ * @returns {Array<{type: string, lane?: number, inputId: string, time: number, velocity: number|null, at?: number, source: string}>}
+ *   at 为处理该事件前会话需要推进到的时间
+ */
+export function getReplayEvents(replay) {
+  return replay.events.map(([time, input, type, lane, velocity, at]) => {
+    const event = {
+      type: type === PRESS ? 'press' : 'release',
+      inputId: replay.inputs[input],
+      time,
+      velocity,
+      source: 'replay'
+    };
+    if (lane >= 0) event.lane = lane;
+    if (at !== undefined) event.at = at;
+    return event;
+  });
+}
+
+/**
+ * 把一个回放事件交给判定会话
+ * @param {GameSession} session - 判定会话
+ * @param {object} event - getReplayEvents 返回的事件
+ */
+export function applyReplayEvent(session, event) {
+  if (event.at !== undefined) session.update(event.at);
+  session.processInput(event);
+}
+
+/**
+ * 回放播放器
+ * 游戏循环每帧取出到期的事件，按记录时的顺序交给判定会话
+ */
+export class ReplayPlayer {
+  /**
+   * @param {object} replay - 回放数据
+   */
+  constructor(replay) {
+    this.events = getReplayEvents(replay);
+  }
+
+  /**
+   * 取出到指定时间为止的事件
+   * @param {number} time - 歌曲时间(ms)
+   * @returns {Array} - 按记录顺序排列的事件
+   */
+  poll(time) {
+    let count = 0;
+    while (count < this.events.length && Math.max(this.events[count].time, this.events[count].at ?? -Infinity) <= time) {
+      count++;
+    }
+    return this.events.splice(0, count);
+  }
+}
+
+/**
+ * 不经过界面重放一局游戏
+ * @param {Array<{lane: number, time: number, duration: number}>} notes - 谱面音符，不会被修改
+ * @param {object} replay - 回放数据
+ * @returns {object} - 判定会话的成绩
+ */
+export function runReplay(notes, replay) {
+  const session = new GameSession({
+    judgmentWindows: replay.judgmentWindows,
+    scoreMultiplier: replay.scoreMultiplier,
+    rules: replay.scoreRules,
+    gauge: replay.gauge
+  });
+  session.setNotes(notes.map(note => ({ ...note })));
+
+  getReplayEvents(replay).forEach(event => applyReplayEvent(session, event));
+  session.update(replay.endTime ?? Infinity);
+
+  return session.getResults();
+}
+
+/**
+ * 判断两份成绩的分数、最大连击和判定统计是否相同
+ * @param {object} a - 成绩
+ * @param {object} b - 成绩
+ */
+export function isSameResult(a, b) {
+  if (!a || !b) return false;
+  return a.score === b.score &&
+    a.maxCombo === b.maxCombo &&
+    ['perfect', 'great', 'good', 'bad', 'miss'].every(type => (a.judgments?.[type] || 0) === (b.judgments?.[type] || 0));
+}
+
+/**
+ * 重放并校验成绩是否与记录一致
+ * @param {Array} notes - 谱面音符
+ * @param {object} replay - 回放数据
+ * @returns {{passed: boolean, chartMatches: boolean, results: object, errors: string[]}}
+ */
+export function verifyReplay(notes, replay) {
+  const errors = [];
+  const chartMatches = getChartHash(notes) === replay.chartHash;
+  if (!chartMatches) {
+    errors.push('谱面与回放记录的不同');
+  }
+
+  const results = runReplay(notes, replay);
+  if (!isSameResult(results, replay.result)) {
+    errors.push(`重放得到 ${results.score} 分，记录为 ${replay.result.score} 分`);
+  }
+
+  return { passed: errors.length === 0, chartMatches, results, errors };
+}
+
+/**
+ * 把回放转换为紧凑的文件内容
+ * @param {object} replay - 回放数据
+ * @returns {string}
+ */
+export function serializeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+/**
+ * 解析回放文件
+ * @param {string} text - 文件内容
+ * @returns {object} - 回放数据
+ * @throws {Error} 文件格式无效或版本不支持时抛出
+ */
+export function parseReplay(text) {
+  let replay;
+  try {
+    replay = JSON.parse(text);
+  } catch (e) {
+    throw new Error('回放文件不是有效的JSON');
+  }
+
+  if (!replay || typeof replay !== 'object') {
+    throw new Error('回放文件格式无效');
+  }
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(`不支持的回放版本: ${replay.version}`);
+  }
+  if (!replay.songId || !replay.difficulty || typeof replay.chartHash !== 'string') {
+    throw new Error('回放缺少谱面信息');
+  }
+  if (!Array.isArray(replay.inputs) || !Array.isArray(replay.events) ||
+      !replay.events.every(event => Array.isArray(event) && event.length >= 5 &&
+        Number.isFinite(event[0]) && replay.inputs[event[1]] !== undefined)) {
+    throw new Error('回放事件无效');
+  }
+
+  return replay;
+}
@@ -1,18 +1,33 @@
 /**
  * 分数计算器
- * 负责计算游戏分数、评级和连击
+ * 负责计算一局游戏的分数、连击、判定统计、准确率和评级。
+ * 每局游戏（判定会话）使用单独的实例，游戏界面和成绩页都从同一个实例读取，
+ * 显示的分数、准确率和评级因此总是一致。
+ * 怎样计分由计分规则决定（见 scoreRules.js）
  */
-class ScoreCalculator {
-  constructor() {
+import { getScoreRules, DEFAULT_SCORE_RULES } from './scoreRules';
+import { getGrade, getClearFlags } from './grading';
+
+export const JUDGMENT_TYPES = ['perfect', 'great', 'good', 'bad', 'miss'];
+
+/**
+ * 准确率的显示文本，向下取两位小数，显示的值达到评级线时一定获得该评级
+ * @param {number} accuracy - 准确率(0-100)
+ */
+export function formatAccuracy(accuracy) {
+  return (Math.floor((accuracy || 0) * 100) / 100).toFixed(2);
+}
+
+export class ScoreCalculator {
+  /**
+   * @param {object} options - 配置参数
+   * @param {string|object} options.rules - 计分规则ID或规则对象
+   * @param {number} options.scoreMultiplier - 分数倍率（模组）
+   */
+  constructor(options = {}) {
+    this.rules = getScoreRules(options.rules ?? DEFAULT_SCORE_RULES);
+    this.setScoreMultiplier(options.scoreMultiplier ?? 1.0);
     this.reset();
-    this.scoreMultiplier = 1.0;   // 分数倍率
-    this.comboMultiplier = 0.1;   // 连击倍率增长
-    this.difficultyMultiplier = { // 难度倍率
-      easy: 0.8,
-      normal: 1.0,
-      hard: 1.5,
-      expert: 2.0
-    };
   }
 
   /**
@@ -20,76 +35,56 @@ class ScoreCalculator {
    */
   reset() {
     this.score = 0;              // 总分数
+    this.rawScore = 0;           // 归一化之前的分数
     this.combo = 0;              // 当前连击数
     this.maxCombo = 0;           // 最大连击数
-    this.perfectCount = 0;       // Perfect判定数量
-    this.greatCount = 0;         // Great判定数量
-    this.goodCount = 0;          // Good判定数量
-    this.missCount = 0;          // Miss判定数量
+    this.judgments = { perfect: 0, great: 0, good: 0, bad: 0, miss: 0 }; // 各判定数量
+    this.totalJudgments = 0;     // 总判定数
     this.accuracy = 100;         // 准确率
-    this.totalNotes = 0;         // 总音符数
-    this.hitNotes = 0;           // 击中音符数
-    this.lastHitTime = 0;        // 最后击中时间
+    this.chartJudgments = 0;     // 谱面的判定总数，用于归一化
+    this.maxRawScore = 0;        // 谱面的理论最高分（归一化之前）
   }
 
   /**
-   * 处理音符击中
-   * @param {string} accuracy - 判定结果 (perfect, great, good, miss)
-   * @param {number} baseScore - 基础分数
-   * @param {string} difficulty - 难度级别
+   * 加入谱面的判定和持续分间隔，规则按理论最高分归一化时需要
+   * @param {number} judgmentCount - 判定次数（长按音符计2次）
+   * @param {number} holdTicks - 长按音符的计分间隔数
    */
-  handleHit(accuracy, baseScore = 1000, difficulty = 'normal') {
-    const difficultyFactor = this.difficultyMultiplier[difficulty] || 1.0;
-    let points = 0;
-    
-    // 根据判定给予不同分数
-    switch (accuracy) {
-      case 'perfect':
-        points = baseScore * 1.0;
-        this.perfectCount++;
-        this.combo++;
-        this.hitNotes++;
-        break;
-      case 'great':
-        points = baseScore * 0.8;
-        this.greatCount++;
-        this.combo++;
-        this.hitNotes++;
-        break;
-      case 'good':
-        points = baseScore * 0.5;
-        this.goodCount++;
-        this.combo++;
-        this.hitNotes++;
-        break;
-      case 'miss':
-      default:
-        points = 0;
-        this.missCount++;
-        this.combo = 0; // Miss重置连击
-        break;
+  addChartTotals(judgmentCount, holdTicks = 0) {
+    for (let i = 0; i < judgmentCount; i++) {
+      this.maxRawScore += this.getJudgmentPoints('perfect', this.chartJudgments + i);
     }
-    
-    // 更新总音符数
-    this.totalNotes++;
-    
-    // 计算连击倍率
-    const comboMultiplier = 1 + (this.combo - 1) * this.comboMultiplier;
-    
-    // 计算最终分数
-    const finalPoints = Math.floor(points * this.scoreMultiplier * comboMultiplier * difficultyFactor);
-    this.score += finalPoints;
-    
-    // 更新最大连击
-    if (this.combo > this.maxCombo) {
-      this.maxCombo = this.combo;
+    this.chartJudgments += judgmentCount;
+    this.maxRawScore += this.getHoldTickPoints(holdTicks);
+    this.updateScore();
+  }
+
+  /**
+   * 处理一次判定（长按音符的头部和尾部各算一次）
+   * @param {string} judgment - 判定结果 (perfect, great, good, bad, miss)
+   * @returns {{points: number, totalScore: number, combo: number, maxCombo: number}}
+   */
+  handleHit(judgment) {
+    const type = JUDGMENT_TYPES.includes(judgment) ? judgment : 'miss';
+    const previousScore = this.score;
+
+    this.judgments[type]++;
+    this.totalJudgments++;
+
+    if (type === 'miss') {
+      this.combo = 0; // Miss重置连击
+    } else {
+      // 连击倍数按判定前的连击数计算
+      this.rawScore += this.getJudgmentPoints(type, this.combo);
+      this.combo++;
+      this.maxCombo = Math.max(this.maxCombo, this.combo);
     }
-    
-    // 更新准确率
+
+    this.updateScore();
     this.updateAccuracy();
-    
+
     return {
-      points: finalPoints,
+      points: this.score - previousScore,
       totalScore: this.score,
       combo: this.combo,
       maxCombo: this.maxCombo
@@ -97,49 +92,34 @@ class ScoreCalculator {
   }
 
   /**
-   * 更新准确率
+   * 长按音符按住期间的持续分
+   * @param {number} ticks - 新经过的计分间隔数
+   * @returns {number} - 获得的分数
+   */
+  addHoldTicks(ticks) {
+    const previousScore = this.score;
+    this.rawScore += this.getHoldTickPoints(ticks);
+    this.updateScore();
+    return this.score - previousScore;
+  }
+
+  /**
+   * 更新准确率，公式由计分规则决定
    */
   updateAccuracy() {
-    if (this.totalNotes === 0) {
+    if (this.totalJudgments === 0) {
       this.accuracy = 100;
       return;
     }
-    
-    const totalScore = 
-      this.perfectCount * 3 +
-      this.greatCount * 2 +
-      this.goodCount * 1 +
-      this.missCount * 0;
-    
-    const maxPossibleScore = this.totalNotes * 3;
-    
-    this.accuracy = maxPossibleScore > 0 
-      ? Math.min(100, (totalScore / maxPossibleScore) * 100)
-      : 100;
+
+    this.accuracy = Math.max(0, Math.min(100, this.rules.accuracy(this.judgments, this.totalJudgments)));
   }
 
   /**
-   * 获取当前评级
-   * 根据分数、准确率和最大连击综合评定
+   * 获取当前评级，评级线由计分规则选择
    */
   getRank() {
-    if (this.totalNotes === 0) {
-      return 'F';
-    }
-    
-    const scoreRatio = this.score / (this.totalNotes * 1000 * 2); // 假设最大可能分数
-    const accuracyRatio = this.accuracy / 100;
-    const comboRatio = this.maxCombo / Math.max(1, this.totalNotes);
-    
-    // 综合评分
-    const finalScore = (scoreRatio * 0.5) + (accuracyRatio * 0.3) + (comboRatio * 0.2);
-    
-    if (finalScore >= 0.95) return 'S';
-    if (finalScore >= 0.85) return 'A';
-    if (finalScore >= 0.75) return 'B';
-    if (finalScore >= 0.65) return 'C';
-    if (finalScore >= 0.50) return 'D';
-    return 'F';
+    return getGrade(this, this.rules.grades);
   }
 
   /**
@@ -150,14 +130,6 @@ class ScoreCalculator {
     this.scoreMultiplier = Math.max(0.1, Math.min(5.0, multiplier));
   }
 
-  /**
-   * 增加连击倍率
-   * @param {number} increment - 增加量
-   */
-  addComboMultiplier(increment) {
-    this.comboMultiplier = Math.min(0.5, this.comboMultiplier + increment);
-  }
-
   /**
    * 获取统计数据
    */
@@ -166,14 +138,12 @@ class ScoreCalculator {
       score: this.score,
       combo: this.combo,
       maxCombo: this.maxCombo,
-      perfectCount: this.perfectCount,
-      greatCount: this.greatCount,
-      goodCount: this.goodCount,
-      missCount: this.missCount,
+      judgments: { ...this.judgments },
+      totalJudgments: this.totalJudgments,
       accuracy: this.accuracy,
-      totalNotes: this.totalNotes,
-      hitNotes: this.hitNotes,
-      rank: this.getRank()
+      rank: this.getRank(),
+      ...getClearFlags(this),
+      rules: this.rules.id
     };
   }
 
@@ -185,36 +155,49 @@ class ScoreCalculator {
     return this.score > savedHighScore;
   }
 
-  /**
-   * 计算连击奖励分数
-   * @param {number} comboMilestone - 连击里程碑
-   */
-  calculateComboBonus(comboMilestone) {
-    const bonuses = {
-      10: 1000,
-      50: 5000,
-      100: 10000,
-      200: 25000,
-      300: 50000,
-      500: 100000
-    };
-    
-    return bonuses[comboMilestone] || 0;
+  // 实际使用的分数倍率，规则不使用模组倍率时为1
+  getEffectiveMultiplier() {
+    return this.rules.useScoreMultiplier ? this.scoreMultiplier : 1;
   }
 
-  /**
-   * 处理连击里程碑
-   * @param {number} combo - 当前连击数
-   */
-  handleComboMilestone(combo) {
-    const bonus = this.calculateComboBonus(combo);
-    if (bonus > 0) {
-      this.score += bonus;
-      return bonus;
+  // 一次判定的分数：不归一化时每次判定的分数取整后累计
+  getJudgmentPoints(type, combo) {
+    const points = this.rules.points[type] * this.rules.comboMultiplier(combo);
+    return this.rules.maxScore ? points : Math.floor(points * this.getEffectiveMultiplier());
+  }
+
+  getHoldTickPoints(ticks) {
+    return this.rules.maxScore
+      ? ticks * this.rules.holdTickPoints
+      : ticks * Math.floor(this.rules.holdTickPoints * this.getEffectiveMultiplier());
+  }
+
+  // 归一化的规则按已得分数占理论最高分的比例计算总分
+  updateScore() {
+    if (!this.rules.maxScore) {
+      this.score = this.rawScore;
+    } else if (this.maxRawScore > 0) {
+      this.score = Math.floor(this.rules.maxScore * Math.min(this.rawScore / this.maxRawScore, 1) * this.getEffectiveMultiplier());
+    } else {
+      this.score = 0;
     }
-    return 0;
   }
 }
 
-// 导出单例实例
-export default new ScoreCalculator();
\ No newline at end of file
+/**
+ * 计算谱面的理论最高分：所有判定都为perfect，长按音符按满全程
+ * @param {number} judgmentCount - 判定次数（长按音符计2次）
+ * @param {number} holdTicks - 长按音符的计分间隔总数
+ * @param {number} scoreMultiplier - 分数倍率
+ * @param {string|object} rules - 计分规则
+ * @returns {number}
+ */
+export function calculateMaxScore(judgmentCount, holdTicks, scoreMultiplier = 1, rules = DEFAULT_SCORE_RULES) {
+  const calculator = new ScoreCalculator({ rules, scoreMultiplier });
+  calculator.addChartTotals(judgmentCount, holdTicks);
+  for (let i = 0; i < judgmentCount; i++) {
+    calculator.handleHit('perfect');
+  }
+  calculator.addHoldTicks(holdTicks);
+  return calculator.score;
+}
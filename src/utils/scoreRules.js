@@ -0,0 +1,71 @@
+/**
+ * 计分规则
+ * 规则集定义分数计算器如何计分，分数计算器本身只负责累计判定：
+ * - points: 各判定的基础分数
+ * - holdTickPoints: 长按音符按住期间每个计分间隔的持续分
+ * - comboMultiplier(combo): 判定前的连击数对应的分数倍数
+ * - maxScore: 设置时按谱面的理论最高分把分数归一化到该值，与谱面长度无关
+ * - useScoreMultiplier: 是否乘以模组的分数倍率
+ * - accuracy(judgments, total): 准确率(0-100)
+ * - grades: 评级线ID（见 grading.js）
+ */
+
+// 经典：连击越高每次判定得分越多，长按音符按住期间持续得分
+export const CLASSIC_RULES = {
+  id: 'classic',
+  name: '经典',
+  description: '连击倍数最高 2 倍，长按音符持续得分',
+  points: { perfect: 1200, great: 800, good: 500, bad: 200, miss: 0 },
+  holdTickPoints: 20,
+  // 每10连击增加0.1倍，最高2倍
+  comboMultiplier: combo => Math.min(combo / 10 + 1, 2),
+  maxScore: null,
+  useScoreMultiplier: true,
+  // perfect、great、good 分别计3、2、1分，相对于全部为perfect的比例
+  accuracy: (judgments, total) => (judgments.perfect * 3 + judgments.great * 2 + judgments.good) / (total * 3) * 100,
+  grades: 'standard'
+};
+
+// 百万分：满分固定为 1,000,000，不受谱面长度、连击和模组影响
+export const NORMALIZED_RULES = {
+  id: 'normalized',
+  name: '百万分',
+  description: '满分 1,000,000，与谱面长度无关',
+  points: { perfect: 100, great: 70, good: 40, bad: 10, miss: 0 },
+  holdTickPoints: 0,
+  comboMultiplier: () => 1,
+  maxScore: 1000000,
+  useScoreMultiplier: false,
+  accuracy: (judgments, total) =>
+    (judgments.perfect * 100 + judgments.great * 70 + judgments.good * 40 + judgments.bad * 10) / (total * 100) * 100,
+  grades: 'normalized'
+};
+
+// EX分数（IIDX）：perfect 2分、great 1分，其余0分，不受连击和模组影响
+export const EX_SCORE_RULES = {
+  id: 'ex',
+  name: 'EX 分数',
+  description: 'Perfect 2 分、Great 1 分，满分为判定数的 2 倍',
+  points: { perfect: 2, great: 1, good: 0, bad: 0, miss: 0 },
+  holdTickPoints: 0,
+  comboMultiplier: () => 1,
+  maxScore: null,
+  useScoreMultiplier: false,
+  // 分数率：EX分数相对于满分的比例
+  accuracy: (judgments, total) => (judgments.perfect * 2 + judgments.great) / (total * 2) * 100,
+  grades: 'ex'
+};
+
+export const SCORE_RULES = [CLASSIC_RULES, NORMALIZED_RULES, EX_SCORE_RULES];
+
+export const DEFAULT_SCORE_RULES = CLASSIC_RULES.id;
+
+/**
+ * 获取计分规则
+ * @param {string|object} rules - 规则ID或规则对象，未知的ID使用经典规则
+ * @returns {object}
+ */
+export function getScoreRules(rules) {
+  if (rules && typeof rules === 'object') return rules;
+  return SCORE_RULES.find(item => item.id === rules) || CLASSIC_RULES;
+}
@@ -0,0 +1,189 @@
+/**
+ * 歌曲时间轴
+ * 跟随正在播放的音频（HTMLAudioElement 或 AudioContext）计算当前歌曲时间（毫秒），
+ * 作为音符位置、判定和游戏结束的唯一时间来源。
+ * 音频未播放时（前奏、加载中、无音频）使用系统时钟推进，
+ * 音频播放时持续对比音频时间，小偏差平滑修正，大偏差直接对齐。
+ */
+export class SongTimeline {
+  /**
+   * @param {object} options - 配置参数
+   * @param {number} options.driftThreshold - 超过该偏差(ms)时直接对齐到音频时间
+   * @param {number} options.smoothing - 每次同步修正小偏差的比例 (0-1)
+   * @param {function} options.now - 系统时钟，默认使用performance.now()
+   */
+  constructor(options = {}) {
+    this.driftThreshold = options.driftThreshold ?? 60;
+    this.smoothing = options.smoothing ?? 0.1;
+    this.now = options.now || (() => performance.now());
+    this.rate = 1; // 播放速度，歌曲时间按该倍率随系统时钟推进
+    this.reset();
+  }
+
+  /**
+   * 重置时间轴
+   * @param {number} startTime - 初始歌曲时间（毫秒），负数表示前奏等待
+   */
+  reset(startTime = 0) {
+    this.source = null;       // 当前跟随的音频源
+    this.isRunning = false;   // 是否正在计时
+    this.anchorClock = 0;     // 锚点对应的系统时钟(ms)
+    this.anchorTime = startTime; // 锚点对应的歌曲时间(ms)
+    this.lastTime = startTime;   // 上一次返回的歌曲时间，保证时间不倒退
+    this.drift = 0;           // 最近一次测得的音频偏差(ms)
+  }
+
+  /**
+   * 从指定歌曲时间开始计时
+   * @param {number} startTime - 初始歌曲时间（毫秒）
+   */
+  start(startTime = 0) {
+    this.reset(startTime);
+    this.anchorClock = this.now();
+    this.isRunning = true;
+  }
+
+  /**
+   * 暂停计时，时间停留在当前位置
+   */
+  pause() {
+    if (!this.isRunning) return;
+    this.anchorTime = this.getTime();
+    this.isRunning = false;
+  }
+
+  /**
+   * 从暂停位置继续计时
+   */
+  resume() {
+    if (this.isRunning) return;
+    this.anchorClock = this.now();
+    this.isRunning = true;
+  }
+
+  /**
+   * 设置播放速度（练习模式放慢播放），音频元素需要设置相同的 playbackRate
+   * @param {number} rate - 播放速度，1为原速
+   */
+  setRate(rate) {
+    this.anchorTime = this.getTime();
+    this.anchorClock = this.now();
+    this.rate = rate > 0 ? rate : 1;
+  }
+
+  /**
+   * 跟随HTMLAudioElement的播放进度
+   * @param {HTMLAudioElement} element - 正在播放的音频元素
+   */
+  attachAudioElement(element) {
+    this.source = element ? { type: 'element', element } : null;
+  }
+
+  /**
+   * 跟随AudioContext中播放的音频
+   * @param {AudioContext} context - 音频上下文
+   * @param {number} contextStartTime - 音频从歌曲开头播放时对应的context.currentTime（秒）
+   * @param {number} duration - 音频时长（秒）
+   */
+  attachAudioContext(context, contextStartTime, duration = null) {
+    this.source = context ? { type: 'context', context, contextStartTime, duration } : null;
+  }
+
+  /**
+   * 停止跟随音频，之后仅使用系统时钟推进
+   */
+  detachAudio() {
+    this.source = null;
+  }
+
+  /**
+   * 读取音频当前的播放时间（毫秒），音频未在播放时返回null
+   */
+  _readAudioTime() {
+    if (!this.source) return null;
+
+    if (this.source.type === 'element') {
+      const element = this.source.element;
+      if (element.paused || element.ended || element.readyState < 2) {
+        return null;
+      }
+      return element.currentTime * 1000;
+    }
+
+    const { context, contextStartTime, duration } = this.source;
+    if (context.state !== 'running') return null;
+
+    // 扣除输出延迟，得到玩家实际听到的时间
+    const latency = context.outputLatency || context.baseLatency || 0;
+    const audioTime = (context.currentTime - contextStartTime - latency) * 1000;
+    if (audioTime < 0 || (duration && audioTime > duration * 1000)) {
+      return null;
+    }
+    return audioTime;
+  }
+
+  /**
+   * 根据系统时钟推算的歌曲时间（未经音频修正）
+   * @param {number} clockTime - 系统时钟时间（毫秒）
+   */
+  toSongTime(clockTime) {
+    if (!this.isRunning) return this.anchorTime;
+    return this.anchorTime + (clockTime - this.anchorClock) * this.rate;
+  }
+
+  /**
+   * 同步音频时间并返回当前歌曲时间，每帧调用一次
+   */
+  update() {
+    if (!this.isRunning) return this.lastTime;
+
+    const clockTime = this.now();
+    const estimated = this.toSongTime(clockTime);
+    const audioTime = this._readAudioTime();
+
+    if (audioTime !== null) {
+      this.drift = audioTime - estimated;
+
+      if (Math.abs(this.drift) > this.driftThreshold) {
+        // 偏差过大（开始播放、跳转、卡顿）：直接对齐到音频时间
+        this.anchorTime = audioTime;
+      } else {
+        // 小偏差：逐步修正，避免音符位置抖动
+        this.anchorTime = estimated + this.drift * this.smoothing;
+      }
+      this.anchorClock = clockTime;
+    }
+
+    return this.getTime();
+  }
+
+  /**
+   * 获取当前歌曲时间（毫秒），时间只会向前推进
+   */
+  getTime() {
+    if (this.isRunning) {
+      this.lastTime = Math.max(this.lastTime, this.toSongTime(this.now()));
+    }
+    return this.lastTime;
+  }
+
+  /**
+   * 获取音频时长（毫秒），未知时返回null
+   */
+  getAudioDuration() {
+    if (!this.source) return null;
+
+    const duration = this.source.type === 'element'
+      ? this.source.element.duration
+      : this.source.duration;
+
+    return Number.isFinite(duration) && duration > 0 ? duration * 1000 : null;
+  }
+
+  /**
+   * 音频是否已播放结束
+   */
+  isAudioEnded() {
+    return !!(this.source && this.source.type === 'element' && this.source.element.ended);
+  }
+}
@@ -1,264 +1,70 @@
 /**
  * 歌曲数据
- * 提供游戏中使用的歌曲列表和音符数据
+ * 从 src/charts/ 下的谱面文件加载歌曲列表和音符数据
  */
+import { createRandom, deriveSeed } from './random';
+import { generateBeatChart, DIFFICULTY_PROFILES } from './chartGenerator';
+import { parseChart, chartToSong } from './chartLoader';
 
-// 模拟歌曲数据
-export const songs = [
-  {
-    id: 'song1',
-    title: '电子节拍',
-    artist: '节奏大师',
-    duration: 120, // 秒
-    bpm: 120,
-    coverUrl: 'https://via.placeholder.com/200?text=Electronic+Beat',
-    audioUrl: '../Musics/Faded - Alan Walker&Iselin Solheim.mp3', // 主界面背景音乐
-    description: '一首充满活力的电子音乐，适合初学者',
-    difficulty: {
-      easy: true,
-      normal: true,
-      hard: false,
-      expert: false
-    },
-    // 音符数据会根据难度动态生成或单独存储
-    notes: {
-      easy: generateEasyNotes(120, 3),
-      normal: generateNormalNotes(120, 4),
-      hard: null,
-      expert: null
-    }
-  },
-  {
-    id: 'song2',
-    title: '摇滚之旅',
-    artist: '节奏大师',
-    duration: 150,
-    bpm: 140,
-    coverUrl: 'https://via.placeholder.com/200?text=Rock+Journey',
-    audioUrl: '../Musics/Rainbow - Sia.mp3',
-    description: '激情四射的摇滚歌曲，适合中级玩家',
-    difficulty: {
-      easy: true,
-      normal: true,
-      hard: true,
-      expert: false
-    },
-    notes: {
-      easy: generateEasyNotes(150, 3),
-      normal: generateNormalNotes(150, 4),
-      hard: generateHardNotes(150, 5),
-      expert: null
-    }
-  },
-  {
-    id: 'song3',
-    title: '爵士风情',
-    artist: '节奏大师',
-    duration: 180,
-    bpm: 100,
-    coverUrl: 'https://via.placeholder.com/200?text=Jazz+Mood',
-    audioUrl: '../Musics/Faded - Alan Walker&Iselin Solheim.mp3',
-    description: '优雅的爵士乐，考验节奏感',
-    difficulty: {
-      easy: false,
-      normal: true,
-      hard: true,
-      expert: true
-    },
-    notes: {
-      easy: null,
-      normal: generateNormalNotes(180, 4),
-      hard: generateHardNotes(180, 5),
-      expert: generateExpertNotes(180, 6)
-    }
-  },
-  {
-    id: 'song4',
-    title: '古典韵律',
-    artist: '节奏大师',
-    duration: 200,
-    bpm: 90,
-    coverUrl: 'https://via.placeholder.com/200?text=Classic+Rhythm',
-    audioUrl: '',
-    description: '经典古典音乐改编，节奏明快',
-    difficulty: {
-      easy: true,
-      normal: true,
-      hard: true,
-      expert: true
-    },
-    notes: {
-      easy: generateEasyNotes(200, 3),
-      normal: generateNormalNotes(200, 4),
-      hard: generateHardNotes(200, 5),
-      expert: generateExpertNotes(200, 6)
-    }
-  },
-  {
-    id: 'song5',
-    title: '未来科技',
-    artist: '节奏大师',
-    duration: 160,
-    bpm: 160,
-    coverUrl: 'https://via.placeholder.com/200?text=Future+Tech',
-    audioUrl: '',
-    description: '高bpm电子音乐，挑战极限反应',
-    difficulty: {
-      easy: false,
-      normal: false,
-      hard: true,
-      expert: true
-    },
-    notes: {
-      easy: null,
-      normal: null,
-      hard: generateHardNotes(160, 5),
-      expert: generateExpertNotes(160, 6)
-    }
-  }
-];
+// 随游戏打包的谱面文件，每首歌一个JSON文件
+const chartFiles = import.meta.glob('../charts/*.json', { eager: true, import: 'default' });
 
-/**
- * 生成简单难度的音符数据
- * @param {number} duration - 歌曲时长（秒）
- * @param {number} trackCount - 轨道数量
- */
-function generateEasyNotes(duration, trackCount) {
-  const notes = [];
-  const noteCount = Math.floor(duration * 0.5); // 每2秒一个音符
-  
-  for (let i = 0; i < noteCount; i++) {
-    notes.push({
-      id: `note_easy_${i}`,
-      lane: Math.floor(Math.random() * trackCount),
-      time: i * 2, // 每隔2秒
-      duration: 0 // 普通音符
-    });
-  }
-  
-  return notes;
-}
-
-/**
- * 生成普通难度的音符数据
- * @param {number} duration - 歌曲时长（秒）
- * @param {number} trackCount - 轨道数量
- */
-function generateNormalNotes(duration, trackCount) {
-  const notes = [];
-  const noteCount = Math.floor(duration * 0.8); // 平均每1.25秒一个音符
-  
-  for (let i = 0; i < noteCount; i++) {
-    const isHoldNote = Math.random() < 0.1; // 10%概率是长按音符
-    notes.push({
-      id: `note_normal_${i}`,
-      lane: Math.floor(Math.random() * trackCount),
-      time: i * 1.25 + (Math.random() * 0.5), // 加入一些随机性
-      duration: isHoldNote ? 1 + Math.random() * 2 : 0
-    });
-  }
-  
-  return notes;
-}
-
-/**
- * 生成困难难度的音符数据
- * @param {number} duration - 歌曲时长（秒）
- * @param {number} trackCount - 轨道数量
- */
-function generateHardNotes(duration, trackCount) {
-  const notes = [];
-  const noteCount = Math.floor(duration * 1.5); // 平均每0.67秒一个音符
-  
-  for (let i = 0; i < noteCount; i++) {
-    const isHoldNote = Math.random() < 0.15; // 15%概率是长按音符
-    notes.push({
-      id: `note_hard_${i}`,
-      lane: Math.floor(Math.random() * trackCount),
-      time: i * 0.67 + (Math.random() * 0.3),
-      duration: isHoldNote ? 0.5 + Math.random() * 1.5 : 0
-    });
-  }
-  
-  // 添加一些连续的音符组合
-  addNotePatterns(notes, trackCount, duration);
-  
-  return notes.sort((a, b) => a.time - b.time);
-}
+// 歌曲列表；无效的谱面文件会被跳过并在控制台报告
+export const songs = Object.entries(chartFiles)
+  .map(([path, data]) => {
+    try {
+      const song = chartToSong(parseChart(data, path));
+      // 使用种子生成的难度在加载时生成音符
+      Object.keys(song.chartSeeds).forEach(difficulty => {
+        if (song.chartSeeds[difficulty] !== null) {
+          song.notes[difficulty] = generateChart(song, difficulty);
+        }
+      });
+      return song;
+    } catch (e) {
+      console.error('加载谱面失败:', e);
+      return null;
+    }
+  })
+  .filter(Boolean);
 
 /**
- * 生成专家难度的音符数据
- * @param {number} duration - 歌曲时长（秒）
- * @param {number} trackCount - 轨道数量
+ * 生成指定歌曲和难度的谱面
+ * 相同的 (歌曲ID, 难度, 种子) 总是得到相同的谱面
+ * @param {object} song - 歌曲数据
+ * @param {string} difficulty - 难度级别
+ * @param {number} seed - 谱面种子
+ * @returns {Array|null} - 音符数组，该难度没有谱面时返回null
  */
-function generateExpertNotes(duration, trackCount) {
-  const notes = [];
-  const noteCount = Math.floor(duration * 2.5); // 平均每0.4秒一个音符
-  
-  for (let i = 0; i < noteCount; i++) {
-    const isHoldNote = Math.random() < 0.2; // 20%概率是长按音符
-    notes.push({
-      id: `note_expert_${i}`,
-      lane: Math.floor(Math.random() * trackCount),
-      time: i * 0.4 + (Math.random() * 0.2),
-      duration: isHoldNote ? 0.3 + Math.random() * 1 : 0
-    });
+export function generateChart(song, difficulty, seed = song.chartSeeds[difficulty]) {
+  const trackCount = song.trackCounts ? song.trackCounts[difficulty] : null;
+  if (!trackCount || !DIFFICULTY_PROFILES[difficulty]) {
+    return null;
   }
   
-  // 添加更多复杂的音符组合
-  addNotePatterns(notes, trackCount, duration, true);
-  
-  return notes.sort((a, b) => a.time - b.time);
+  return generateBeatChart({
+    duration: song.duration,
+    bpm: song.bpm,
+    offset: song.offset || 0,
+    trackCount,
+    difficulty,
+    random: createRandom(deriveSeed(song.id, difficulty, seed))
+  });
 }
 
 /**
- * 添加音符组合模式
- * @param {Array} notes - 音符数组
- * @param {number} trackCount - 轨道数量
- * @param {number} duration - 歌曲时长
- * @param {boolean} isExpert - 是否为专家模式
+ * 添加导入的歌曲，ID相同的歌曲会被替换
+ * @param {object} song - 歌曲数据（chartToSong 的结果）
+ * @returns {Array} - 更新后的歌曲列表
  */
-function addNotePatterns(notes, trackCount, duration, isExpert = false) {
-  const patternCount = isExpert ? 8 : 5;
-  
-  for (let i = 0; i < patternCount; i++) {
-    const startTime = Math.random() * (duration - 10);
-    const patternType = Math.floor(Math.random() * 3);
-    
-    switch (patternType) {
-      case 0: // 左右交替
-        for (let j = 0; j < (isExpert ? 8 : 5); j++) {
-          const lane = j % 2;
-          notes.push({
-            id: `pattern_alternate_${i}_${j}`,
-            lane: lane,
-            time: startTime + j * 0.2,
-            duration: 0
-          });
-        }
-        break;
-      case 1: // 阶梯式
-        for (let j = 0; j < trackCount; j++) {
-          notes.push({
-            id: `pattern_stair_${i}_${j}`,
-            lane: j,
-            time: startTime + j * 0.15,
-            duration: 0
-          });
-        }
-        break;
-      case 2: // 随机分布密集音符
-        for (let j = 0; j < (isExpert ? 10 : 6); j++) {
-          notes.push({
-            id: `pattern_dense_${i}_${j}`,
-            lane: Math.floor(Math.random() * trackCount),
-            time: startTime + j * 0.12,
-            duration: 0
-          });
-        }
-        break;
-    }
+export function addSong(song) {
+  const index = songs.findIndex(existing => existing.id === song.id);
+  if (index >= 0) {
+    songs[index] = song;
+  } else {
+    songs.push(song);
   }
+  return songs;
 }
 
 /**
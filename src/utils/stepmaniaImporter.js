@@ -0,0 +1,395 @@
+/**
+ * StepMania 谱面导入
+ * 解析 .sm / .ssc 文件，把每种游玩方式（dance-single、dance-double）转换为一个谱面，
+ * 文件中的各难度放入对应的难度级别。不支持的内容收集到 warnings 中报告给玩家
+ */
+import { ChartImportError } from './chartLoader';
+import { hashString } from './random';
+
+// 支持的游玩方式及其轨道数
+const STEPS_TYPES = {
+  'dance-single': { laneCount: 4, suffix: '', label: 'Single' },
+  'dance-double': { laneCount: 8, suffix: '_double', label: 'Double' }
+};
+
+// StepMania 难度到游戏难度的映射
+const DIFFICULTY_MAP = {
+  beginner: 'easy',
+  easy: 'easy',
+  medium: 'normal',
+  hard: 'hard',
+  challenge: 'expert'
+};
+
+// 每小节拍数
+const BEATS_PER_MEASURE = 4;
+
+// 谱面结束后保留的时间（秒）
+const END_PADDING = 2;
+
+// 会影响时间轴但尚未支持的 .ssc 标签
+const UNSUPPORTED_TIMING_TAGS = ['WARPS', 'SPEEDS', 'SCROLLS', 'FAKES'];
+
+/**
+ * 解析 StepMania 谱面文件
+ * @param {string} text - .sm 或 .ssc 文件内容
+ * @param {object} options - 导入选项
+ * @param {string} options.source - 文件名，用于错误信息
+ * @returns {{charts: object[], warnings: string[]}} - 每种游玩方式一个谱面（未校验）和警告列表
+ * @throws {ChartImportError} - 文件中没有可游玩的谱面时抛出
+ */
+export function importStepManiaSimfile(text, options = {}) {
+  const source = options.source || '.sm';
+  const warnings = [];
+  const tags = parseTags(text);
+
+  if (tags.length === 0) {
+    throw new ChartImportError('没有找到 #TAG:值; 形式的内容，不是有效的 StepMania 文件', source);
+  }
+
+  const { header, steps } = tags.some(tag => tag.name === 'NOTEDATA')
+    ? splitSscCharts(tags)
+    : splitSmCharts(tags, warnings);
+
+  const songTiming = parseTiming(header, warnings, '', source);
+  const title = header.TITLE || header.TITLETRANSLIT || '未命名';
+  const artist = header.ARTIST || header.ARTISTTRANSLIT || '未知艺术家';
+  const baseId = `sm_${hashString(`${title}|${artist}`).toString(16)}`;
+
+  // 按游玩方式分组，每组生成一个谱面
+  const groups = new Map();
+  const skippedTypes = new Set();
+
+  // Beginner 与 Easy 同属简单难度，两者都有时优先使用 Easy
+  const isBeginner = step => step.difficulty.toLowerCase() === 'beginner';
+  const orderedSteps = [...steps].sort((a, b) => isBeginner(a) - isBeginner(b));
+
+  orderedSteps.forEach(step => {
+    const type = STEPS_TYPES[step.stepsType];
+    if (!type) {
+      skippedTypes.add(step.stepsType || '(未指定)');
+      return;
+    }
+
+    const difficulty = DIFFICULTY_MAP[step.difficulty.toLowerCase()];
+    const label = `${step.stepsType} ${step.difficulty}${step.meter ? ` ${step.meter}` : ''}`;
+    if (!difficulty) {
+      warnings.push(`${label}: 难度 "${step.difficulty}" 没有对应的难度级别，已跳过`);
+      return;
+    }
+
+    const group = groups.get(step.stepsType) || { type, difficulties: {}, labels: {} };
+    groups.set(step.stepsType, group);
+    if (group.difficulties[difficulty]) {
+      warnings.push(`${label}: 与 ${group.labels[difficulty]} 同属 ${difficulty} 难度，已跳过`);
+      return;
+    }
+
+    // .ssc 允许每个难度有独立的时间轴
+    const timing = step.timing ? parseTiming(step.timing, warnings, `${label}: `, source) : songTiming;
+    const notes = parseNoteData(step.notes, type.laneCount, timing, warnings, label);
+    if (notes.length === 0) {
+      warnings.push(`${label}: 没有可用的音符，已跳过`);
+      return;
+    }
+
+    group.difficulties[difficulty] = { laneCount: type.laneCount, notes };
+    group.labels[difficulty] = label;
+  });
+
+  if (skippedTypes.size > 0) {
+    warnings.push(`不支持的游玩方式: ${[...skippedTypes].join(', ')}，仅支持 ${Object.keys(STEPS_TYPES).join(', ')}`);
+  }
+  if (groups.size === 0) {
+    throw new ChartImportError('文件中没有可导入的 dance-single / dance-double 谱面', source);
+  }
+
+  const charts = [...groups.values()].map(({ type, difficulties }) => {
+    const lastEnd = Math.max(...Object.values(difficulties).flatMap(chart =>
+      chart.notes.map(note => note.time + (note.duration || 0))
+    ));
+
+    return {
+      version: 1,
+      id: `${baseId}${type.suffix}`,
+      metadata: {
+        title: type.suffix ? `${title} (${type.label})` : title,
+        artist,
+        description: [`StepMania ${type.label}`, header.SUBTITLE, header.CREDIT && `谱师: ${header.CREDIT}`]
+          .filter(Boolean)
+          .join(' · ')
+      },
+      audio: header.MUSIC || '',
+      duration: Math.ceil(lastEnd + END_PADDING),
+      offset: roundTime(beatToTime(0, songTiming)),
+      timingPoints: toTimingPoints(songTiming),
+      difficulties
+    };
+  });
+
+  return { charts, warnings };
+}
+
+/**
+ * 解析 #TAG:值; 列表，去掉 // 注释
+ * @returns {Array<{name: string, value: string}>}
+ */
+function parseTags(text) {
+  const content = String(text).replace(/^\uFEFF/, '').replace(/\/\/[^\n]*/g, '');
+  const tags = [];
+  const pattern = /#([^:;#]+):([^;]*);?/g;
+  let match;
+
+  while ((match = pattern.exec(content)) !== null) {
+    tags.push({ name: match[1].trim().toUpperCase(), value: match[2].trim() });
+  }
+  return tags;
+}
+
+/**
+ * 拆分 .sm 文件：#NOTES 的值为 类型:描述:难度:等级:雷达值:音符数据
+ */
+function splitSmCharts(tags, warnings) {
+  const header = {};
+  const steps = [];
+
+  tags.forEach(({ name, value }) => {
+    if (name !== 'NOTES') {
+      header[name] = value;
+      return;
+    }
+
+    const fields = value.split(':').map(field => field.trim());
+    if (fields.length < 6) {
+      warnings.push(`#NOTES 字段数量不足（${fields.length}/6），已跳过`);
+      return;
+    }
+    steps.push({
+      stepsType: fields[0],
+      difficulty: fields[2],
+      meter: fields[3],
+      notes: fields.slice(5).join(':'),
+      timing: null
+    });
+  });
+
+  return { header, steps };
+}
+
+/**
+ * 拆分 .ssc 文件：#NOTEDATA: 开始一个谱面，之后的标签属于该谱面
+ */
+function splitSscCharts(tags) {
+  const header = {};
+  const steps = [];
+  let current = null;
+
+  tags.forEach(({ name, value }) => {
+    if (name === 'NOTEDATA') {
+      current = { stepsType: '', difficulty: '', meter: '', notes: '', timing: null, tags: {} };
+      steps.push(current);
+    } else if (!current) {
+      header[name] = value;
+    } else {
+      current.tags[name] = value;
+    }
+  });
+
+  steps.forEach(step => {
+    step.stepsType = step.tags.STEPSTYPE || '';
+    step.difficulty = step.tags.DIFFICULTY || '';
+    step.meter = step.tags.METER || '';
+    step.notes = step.tags.NOTES || '';
+    // 谱面自带 BPMS 或 OFFSET 时使用独立时间轴，缺少的部分沿用歌曲的设置
+    if (step.tags.BPMS !== undefined || step.tags.OFFSET !== undefined) {
+      step.timing = { ...header, ...step.tags };
+    }
+  });
+
+  return { header, steps };
+}
+
+/**
+ * 解析时间轴：#OFFSET、#BPMS、#STOPS（#FREEZES）、#DELAYS
+ * @returns {{offset: number, bpms: Array, stops: Array}} - bpms 和 stops 按拍排序
+ */
+function parseTiming(tags, warnings, prefix, source) {
+  const bpms = parseBeatValues(tags.BPMS).filter(({ value }) => value > 0);
+  if (bpms.length === 0) {
+    throw new ChartImportError(`${prefix}#BPMS 中没有有效的BPM`, source);
+  }
+  if (bpms[0].beat > 0) {
+    bpms.unshift({ beat: 0, value: bpms[0].value });
+  }
+
+  // 停顿发生在该拍的音符之后，延迟发生在该拍的音符之前
+  const stops = [
+    ...parseBeatValues(tags.STOPS || tags.FREEZES).map(({ beat, value }) => ({ beat, duration: value, before: false })),
+    ...parseBeatValues(tags.DELAYS).map(({ beat, value }) => ({ beat, duration: value, before: true }))
+  ].filter(stop => stop.duration > 0);
+
+  UNSUPPORTED_TIMING_TAGS.forEach(name => {
+    // 倍率为1的 SPEEDS/SCROLLS 不改变任何效果
+    const isScale = name === 'SPEEDS' || name === 'SCROLLS';
+    const active = parseBeatValues(tags[name]).filter(({ value }) => (isScale ? value !== 1 : value > 0));
+    if (active.length > 0) {
+      warnings.push(`${prefix}不支持 #${name}，已忽略，部分音符时间可能与音乐不一致`);
+    }
+  });
+
+  return {
+    offset: Number(tags.OFFSET) || 0,
+    bpms: bpms.sort((a, b) => a.beat - b.beat),
+    stops: stops.sort((a, b) => a.beat - b.beat)
+  };
+}
+
+/**
+ * 解析 "拍=值,拍=值" 列表
+ */
+function parseBeatValues(value) {
+  if (!value) return [];
+
+  return value
+    .split(',')
+    .map(pair => pair.split('=').map(Number))
+    .filter(([beat, number]) => Number.isFinite(beat) && Number.isFinite(number))
+    .map(([beat, number]) => ({ beat, value: number }));
+}
+
+/**
+ * 计算某一拍对应的歌曲时间（秒）
+ * StepMania 中第0拍位于 -OFFSET 秒
+ */
+function beatToTime(beat, timing) {
+  let time = -timing.offset;
+
+  for (let i = 0; i < timing.bpms.length; i++) {
+    const segment = timing.bpms[i];
+    if (segment.beat >= beat) break;
+    const segmentEnd = Math.min(beat, timing.bpms[i + 1]?.beat ?? Infinity);
+    time += ((segmentEnd - segment.beat) * 60) / segment.value;
+  }
+
+  timing.stops.forEach(stop => {
+    if (stop.beat < beat || (stop.before && stop.beat === beat)) {
+      time += stop.duration;
+    }
+  });
+
+  return time;
+}
+
+/**
+ * 把BPM变化转换为谱面的变速点
+ */
+function toTimingPoints(timing) {
+  const byTime = new Map();
+  timing.bpms.forEach(({ beat, value }) => {
+    byTime.set(roundTime(Math.max(0, beatToTime(beat, timing))), value);
+  });
+  return [...byTime.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([time, bpm]) => ({ time, bpm }));
+}
+
+/**
+ * 解析音符数据
+ * 小节之间用逗号分隔，每小节的行数决定细分（4行=1/1拍，8行=1/2拍，12行=1/3拍...）
+ * 0 空，1 普通音符，2 长按开始，4 连打开始，3 长按/连打结束，M 地雷，L 抬起，F 假音符
+ * @returns {Array} - 按时间排序的音符（秒）
+ */
+function parseNoteData(data, laneCount, timing, warnings, label) {
+  const notes = [];
+  const openHolds = new Array(laneCount).fill(null);
+  const ignored = { mine: 0, lift: 0, fake: 0, negative: 0, unclosed: 0, orphanTail: 0, badRow: 0 };
+  let rollCount = 0;
+
+  const measures = data.split(',');
+  measures.forEach((measure, measureIndex) => {
+    const rows = measure.split(/\s+/).filter(row => row.length > 0);
+
+    rows.forEach((row, rowIndex) => {
+      if (row.length !== laneCount) {
+        ignored.badRow++;
+        return;
+      }
+      const beat = measureIndex * BEATS_PER_MEASURE + (rowIndex * BEATS_PER_MEASURE) / rows.length;
+
+      for (let lane = 0; lane < laneCount; lane++) {
+        const symbol = row[lane];
+        switch (symbol) {
+          case '1':
+          case 'K': // 带按键音的普通音符
+            notes.push({ lane, beat });
+            break;
+          case '2':
+          case '4': {
+            if (symbol === '4') rollCount++;
+            const note = { lane, beat, endBeat: null };
+            openHolds[lane] = note;
+            notes.push(note);
+            break;
+          }
+          case '3':
+            if (openHolds[lane]) {
+              openHolds[lane].endBeat = beat;
+              openHolds[lane] = null;
+            } else {
+              ignored.orphanTail++;
+            }
+            break;
+          case 'M':
+            ignored.mine++;
+            break;
+          case 'L':
+            ignored.lift++;
+            break;
+          case 'F':
+            ignored.fake++;
+            break;
+          default:
+            break;
+        }
+      }
+    });
+  });
+
+  const result = [];
+  notes.forEach(note => {
+    const time = beatToTime(note.beat, timing);
+    if (time < 0) {
+      ignored.negative++;
+      return;
+    }
+
+    const isHold = note.endBeat !== undefined;
+    if (isHold && note.endBeat === null) {
+      ignored.unclosed++;
+    }
+    const duration = isHold && note.endBeat !== null
+      ? beatToTime(note.endBeat, timing) - time
+      : 0;
+
+    const converted = { time: roundTime(time), lane: note.lane };
+    if (duration > 0) converted.duration = roundTime(duration);
+    result.push(converted);
+  });
+
+  const messages = [];
+  if (rollCount > 0) messages.push(`${rollCount} 个连打（roll）按长按音符处理`);
+  if (ignored.mine > 0) messages.push(`忽略了 ${ignored.mine} 个地雷`);
+  if (ignored.lift > 0) messages.push(`忽略了 ${ignored.lift} 个抬起音符`);
+  if (ignored.fake > 0) messages.push(`忽略了 ${ignored.fake} 个假音符`);
+  if (ignored.negative > 0) messages.push(`忽略了 ${ignored.negative} 个位于音乐开始之前的音符`);
+  if (ignored.unclosed > 0) messages.push(`${ignored.unclosed} 个长按音符没有结束标记，按普通音符处理`);
+  if (ignored.orphanTail > 0) messages.push(`忽略了 ${ignored.orphanTail} 个没有开头的长按结束标记`);
+  if (ignored.badRow > 0) messages.push(`忽略了 ${ignored.badRow} 行列数不是 ${laneCount} 的音符行`);
+  messages.forEach(message => warnings.push(`${label}: ${message}`));
+
+  return result.sort((a, b) => a.time - b.time || a.lane - b.lane);
+}
+
+function roundTime(time) {
+  return Math.round(time * 1000) / 1000;
+}